@@ -0,0 +1,148 @@
+import { MODULE_ID } from "./constants.js";
+import { buildSessionRecap, renderBoardImage, saveRecapJournal } from "./board-snapshot.js";
+import { exportBoardData, importBoardData } from "./board-transfer.js";
+import { createNoteFromTemplate, getCardText } from "./card-templates.js";
+import { connectNotes, disconnectNotes } from "./connections.js";
+import { shareNoteToChat } from "./chat.js";
+import { evaluateDeduction, getDeductions, submitDeduction } from "./deductions.js";
+import { restoreNotes } from "./note-history.js";
+import { PIN_COLORS, createNote, deleteNotes, getNote, getNotes, revealNotes, turnNotesFaceDown, updateNotes } from "./notes.js";
+import { richTextToPlain } from "./rich-text.js";
+import { NOTE_TYPES, registerTheme, unregisterTheme } from "./themes.js";
+import { parseNoteDate } from "./timeline.js";
+import { getVisibleNote } from "./visibility.js";
+
+/*
+ * The scripting API, published as game.modules.get("investigation-board").api for macros and other modules.
+ * Functions work on the current scene; those taking an options object also accept a `scene`.
+ * Notes are returned as the current user sees them: notes hidden from the user are left out,
+ * and face-down notes come without their contents.
+ */
+
+// Accept "red" as well as the stored "redPin.webp". "none" removes the pin.
+function resolvePinColor(pinColor) {
+  if (!pinColor) return undefined;
+  if (pinColor === "none") return pinColor;
+  const pin = PIN_COLORS.find(file => file === pinColor || file === `${pinColor}Pin.webp`);
+  if (!pin) throw new Error(`Investigation Board: Unknown pin color "${pinColor}". Use one of red, blue, yellow, green or none.`);
+  return pin;
+}
+
+function checkDate(date) {
+  if (date && (parseNoteDate(date) === null)) {
+    throw new Error(`Investigation Board: Invalid date "${date}". Use the form YYYY-MM-DDTHH:MM.`);
+  }
+}
+
+function matchesText(note, text) {
+  const content = [richTextToPlain(getCardText(note)), note.identityName ?? ""].join("\n");
+  if (text instanceof RegExp) return text.test(content);
+  return content.toLowerCase().includes(String(text).toLowerCase());
+}
+
+/**
+ * Create a note.
+ * @param {object} data
+ * @param {string} [data.type="sticky"]   sticky, photo or index
+ * @param {string} [data.text]            Note text, using the note formatting syntax
+ * @param {string} [data.image]           Photo for photo notes
+ * @param {number} [data.x]               Center of the note; by default the note goes in the middle of the view
+ *                                        or at the cursor, as set in the module settings
+ * @param {number} [data.y]
+ * @param {string} [data.pinColor]        red, blue, yellow, green or none
+ * @param {string} [data.visibility]      public, gm, players or facedown
+ * @param {string} [data.template]        Id of a card template; its note type is used
+ * @param {object} [data.fields]          Values of the card template fields, by field key
+ * @param {string} [data.date]            In-game date for the timeline, as YYYY-MM-DDTHH:MM
+ * @param {object} [data.flags]           Data of your own, stored on the note: { [moduleId]: { ... } }
+ * @returns {Promise<object>}             The created note data, or undefined if it could not be saved
+ */
+async function create({ type = "sticky", pinColor, scene = canvas.scene, ...data } = {}) {
+  checkDate(data.date);
+  if (data.template) return createNoteFromTemplate(data.template, { ...data, pinColor: resolvePinColor(pinColor), scene, activate: false });
+  if (!NOTE_TYPES.includes(type)) throw new Error(`Investigation Board: Unknown note type "${type}".`);
+  return createNote(type, { ...data, pinColor: resolvePinColor(pinColor), scene, activate: false });
+}
+
+/**
+ * Apply changes to a note, for example { text: "Updated", x: 500 }.
+ */
+async function update(id, changes, { scene = canvas.scene } = {}) {
+  checkDate(changes.date);
+  const noteUpdate = { ...changes, id };
+  if (changes.pinColor) noteUpdate.pinColor = resolvePinColor(changes.pinColor);
+  await updateNotes(scene, [noteUpdate]);
+}
+
+// Delete one note or several, along with their strings. They go to the trash, from which restoreNotes brings them back.
+async function remove(ids, { scene = canvas.scene } = {}) {
+  await deleteNotes(scene, Array.isArray(ids) ? ids : [ids]);
+}
+
+function getVisibleNotes(scene) {
+  return getNotes(scene).map(note => getVisibleNote(note)).filter(note => note);
+}
+
+/**
+ * Find notes by text, type or flag. Every given criterion must match.
+ * @param {object} [query]
+ * @param {string|RegExp} [query.text]  Found in the note text or name; strings match case-insensitively
+ * @param {string} [query.type]
+ * @param {object} [query.flags]        Flag values by path, e.g. { "my-module.clueId": "knife" }
+ * @param {Function} [query.filter]     Any further test of the note data
+ * @returns {object[]}
+ */
+function find({ text, type, flags, filter, scene = canvas.scene } = {}) {
+  return getVisibleNotes(scene).filter(note => {
+    if (type && note.type !== type) return false;
+    if (text !== undefined && !matchesText(note, text)) return false;
+    for (const [path, value] of Object.entries(flags ?? {})) {
+      if (foundry.utils.getProperty(note.flags ?? {}, path) !== value) return false;
+    }
+    return !filter || filter(note);
+  });
+}
+
+export const api = {
+  createNote: create,
+  updateNote: update,
+  deleteNotes: remove,
+  getNote: (id, { scene = canvas.scene } = {}) => {
+    const note = getNote(id, scene);
+    return note && getVisibleNote(note);
+  },
+  getNotes: ({ scene = canvas.scene } = {}) => getVisibleNotes(scene),
+  findNotes: find,
+  connectNotes,
+  disconnectNotes,
+  revealNotes: (ids, { scene = canvas.scene } = {}) => revealNotes(scene, Array.isArray(ids) ? ids : [ids]),
+  turnNotesFaceDown: (ids, { scene = canvas.scene } = {}) => turnNotesFaceDown(scene, Array.isArray(ids) ? ids : [ids]),
+  shareNote: (id, { scene = canvas.scene } = {}) => {
+    const note = getNote(id, scene);
+    if (!note || !getVisibleNote(note)) throw new Error(`Investigation Board: No note with id "${id}".`);
+    return shareNoteToChat(note, scene);
+  },
+  submitDeduction: (id, { scene = canvas.scene } = {}) => submitDeduction(scene, id),
+  // For GMs: how far the board is from solving a deduction, without reporting it.
+  evaluateDeduction: (id, { scene = canvas.scene } = {}) => {
+    const puzzle = getDeductions(scene)[id];
+    if (!puzzle) throw new Error(`Investigation Board: No deduction with id "${id}".`);
+    if (!puzzle.groups) throw new Error("Investigation Board: Only GMs can see the solution of a deduction.");
+    return evaluateDeduction(puzzle, scene);
+  },
+  restoreNotes: (ids, { scene = canvas.scene } = {}) => restoreNotes(scene, Array.isArray(ids) ? ids : [ids]),
+  arrangeNotes: (layout, ids) => canvas.investigationBoard.arrangeNotes(layout, ids),
+  toggleTimeline: active => canvas.investigationBoard.toggleTimeline(active),
+  exportBoard: ({ scene = canvas.scene } = {}) => exportBoardData(scene),
+  importBoard: importBoardData,
+  // A PNG of the board on the current scene, as a Blob.
+  renderBoardImage,
+  buildSessionRecap: ({ scene = canvas.scene, ...options } = {}) => buildSessionRecap(scene, options),
+  saveRecapJournal: ({ scene = canvas.scene, ...options } = {}) => saveRecapJournal(scene, options),
+  registerTheme,
+  unregisterTheme,
+};
+
+Hooks.once("init", () => {
+  game.modules.get(MODULE_ID).api = api;
+});
@@ -0,0 +1,221 @@
+import { getCardText } from "./card-templates.js";
+import { getConnections } from "./connections.js";
+import { getPinColor } from "./notes.js";
+import { richTextToPlain } from "./rich-text.js";
+
+/*
+ * Layouts for the selected notes. Each one returns the new top-left positions as [{ id, x, y }],
+ * arranged around where the notes already are. The board layer applies them as one step that can be undone.
+ */
+
+const GAP = 30;
+
+export const LAYOUTS = {
+  grid: "INVESTIGATION_BOARD.Layouts.grid",
+  circle: "INVESTIGATION_BOARD.Layouts.circle",
+  type: "INVESTIGATION_BOARD.Layouts.type",
+  pin: "INVESTIGATION_BOARD.Layouts.pin",
+  keywords: "INVESTIGATION_BOARD.Layouts.keywords",
+};
+
+// Words too common to tell anything about a clue.
+const STOP_WORDS = new Set([
+  "about", "after", "again", "also", "because", "been", "before", "being", "could", "does", "from", "have",
+  "into", "just", "more", "most", "only", "other", "over", "same", "some", "than", "that", "their", "them",
+  "then", "there", "these", "they", "this", "those", "very", "were", "what", "when", "where", "which",
+  "while", "with", "would", "your",
+]);
+
+function getBounds(notes) {
+  const left = Math.min(...notes.map(n => n.x));
+  const top = Math.min(...notes.map(n => n.y));
+  const right = Math.max(...notes.map(n => n.x + n.noteWidth));
+  const bottom = Math.max(...notes.map(n => n.y + n.noteHeight));
+  return { x: left, y: top, width: right - left, height: bottom - top, center: { x: (left + right) / 2, y: (top + bottom) / 2 } };
+}
+
+// Keep the reading order the notes already have, top to bottom and left to right.
+function sortByPosition(notes) {
+  return [...notes].sort((a, b) => (a.y - b.y) || (a.x - b.x));
+}
+
+function layoutGridAt(notes, origin) {
+  const columns = Math.ceil(Math.sqrt(notes.length));
+  const cellWidth = Math.max(...notes.map(n => n.noteWidth)) + GAP;
+  const cellHeight = Math.max(...notes.map(n => n.noteHeight)) + GAP;
+  return sortByPosition(notes).map((note, index) => ({
+    id: note.id,
+    x: origin.x + (index % columns) * cellWidth,
+    y: origin.y + Math.floor(index / columns) * cellHeight,
+  }));
+}
+
+function layoutGrid(notes) {
+  return layoutGridAt(notes, getBounds(notes));
+}
+
+/**
+ * Ring the notes around the focus note, which stays where it is.
+ */
+function layoutCircle(notes, focus) {
+  const others = sortByPosition(notes.filter(n => n !== focus));
+  const center = { x: focus.x + focus.noteWidth / 2, y: focus.y + focus.noteHeight / 2 };
+  const size = Math.max(...notes.map(n => Math.max(n.noteWidth, n.noteHeight)));
+  const radius = Math.max((others.length * (size + GAP)) / (2 * Math.PI), size * 1.5);
+  return others.map((note, index) => {
+    const angle = (2 * Math.PI * index) / others.length - Math.PI / 2;
+    return {
+      id: note.id,
+      x: center.x + radius * Math.cos(angle) - note.noteWidth / 2,
+      y: center.y + radius * Math.sin(angle) - note.noteHeight / 2,
+    };
+  });
+}
+
+/**
+ * Lay out each group of notes as a small grid, with the groups side by side.
+ */
+function layoutClusters(notes, getKey) {
+  const groups = new Map();
+  for (const note of sortByPosition(notes)) {
+    const key = getKey(note);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(note);
+  }
+  const bounds = getBounds(notes);
+  const positions = [];
+  let x = bounds.x;
+  for (const group of groups.values()) {
+    const columns = Math.ceil(Math.sqrt(group.length));
+    const cellWidth = Math.max(...group.map(n => n.noteWidth)) + GAP;
+    positions.push(...layoutGridAt(group, { x, y: bounds.y }));
+    x += columns * cellWidth + GAP * 2;
+  }
+  return positions;
+}
+
+function getKeywords(note) {
+  const text = `${note.data.identityName ?? ""} ${richTextToPlain(getCardText(note.data))}`.toLowerCase();
+  return new Set(text.match(/[\p{L}\p{N}]{4,}/gu)?.filter(word => !STOP_WORDS.has(word)) ?? []);
+}
+
+/**
+ * A force-directed layout: notes sharing keywords, or tied together by a string, pull towards each other,
+ * while every pair of notes pushes apart so that none overlap.
+ */
+function layoutKeywords(notes) {
+  const bodies = notes.map(note => ({
+    note,
+    keywords: getKeywords(note),
+    x: note.x + note.noteWidth / 2,
+    y: note.y + note.noteHeight / 2,
+    radius: Math.hypot(note.noteWidth, note.noteHeight) / 2,
+  }));
+  const index = new Map(bodies.map((body, i) => [body.note.id, i]));
+
+  // How strongly each pair of notes attracts, by shared keywords and strings.
+  const springs = [];
+  for (let i = 0; i < bodies.length; i++) {
+    for (let j = i + 1; j < bodies.length; j++) {
+      const a = bodies[i].keywords;
+      const b = bodies[j].keywords;
+      const shared = [...a].filter(word => b.has(word)).length;
+      if (shared) springs.push({ i, j, strength: shared / Math.min(a.size, b.size) });
+    }
+  }
+  for (const connection of getConnections()) {
+    const i = index.get(connection.from);
+    const j = index.get(connection.to);
+    if ((i !== undefined) && (j !== undefined)) springs.push({ i, j, strength: 0.5 });
+  }
+
+  const start = getBounds(notes).center;
+  for (let step = 0; step < 200; step++) {
+    const cooling = 1 - step / 200;
+    const forces = bodies.map(() => ({ x: 0, y: 0 }));
+
+    for (let i = 0; i < bodies.length; i++) {
+      for (let j = i + 1; j < bodies.length; j++) {
+        const dx = bodies[j].x - bodies[i].x || Math.random() - 0.5;
+        const dy = bodies[j].y - bodies[i].y || Math.random() - 0.5;
+        const distance = Math.hypot(dx, dy);
+        const minimum = bodies[i].radius + bodies[j].radius + GAP;
+        if (distance >= minimum) continue;
+        const push = (minimum - distance) / 2;
+        forces[i].x -= (dx / distance) * push;
+        forces[i].y -= (dy / distance) * push;
+        forces[j].x += (dx / distance) * push;
+        forces[j].y += (dy / distance) * push;
+      }
+    }
+
+    for (const { i, j, strength } of springs) {
+      const dx = bodies[j].x - bodies[i].x;
+      const dy = bodies[j].y - bodies[i].y;
+      const distance = Math.hypot(dx, dy) || 1;
+      const rest = bodies[i].radius + bodies[j].radius + GAP;
+      if (distance <= rest) continue;
+      const pull = (distance - rest) * 0.1 * strength;
+      forces[i].x += (dx / distance) * pull;
+      forces[i].y += (dy / distance) * pull;
+      forces[j].x -= (dx / distance) * pull;
+      forces[j].y -= (dy / distance) * pull;
+    }
+
+    bodies.forEach((body, i) => {
+      body.x += forces[i].x * cooling;
+      body.y += forces[i].y * cooling;
+    });
+  }
+
+  // Keep the group where it was.
+  const cx = bodies.reduce((sum, b) => sum + b.x, 0) / bodies.length;
+  const cy = bodies.reduce((sum, b) => sum + b.y, 0) / bodies.length;
+  return bodies.map(({ note, x, y }) => ({
+    id: note.id,
+    x: x - cx + start.x - note.noteWidth / 2,
+    y: y - cy + start.y - note.noteHeight / 2,
+  }));
+}
+
+/**
+ * Work out new positions for notes with one of the LAYOUTS.
+ * The circle layout rings the notes around the focus note, by default the one selected last.
+ */
+export function computeLayout(layout, notes, focus = notes.at(-1)) {
+  if (notes.length < 2) return [];
+  switch (layout) {
+    case "grid": return layoutGrid(notes);
+    case "circle": return layoutCircle(notes, focus);
+    case "type": return layoutClusters(notes, note => note.data.type);
+    case "pin": return layoutClusters(notes, note => getPinColor(note.data));
+    case "keywords": return layoutKeywords(notes);
+    default: throw new Error(`Investigation Board: Unknown layout "${layout}".`);
+  }
+}
+
+/**
+ * Ask how to arrange the selected notes, then arrange them.
+ */
+export async function promptArrangeNotes() {
+  const layer = canvas.investigationBoard;
+  const notes = [...layer.controlled].filter(n => n.canEdit);
+  if (notes.length < 2) {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Arrange.SelectTwo"));
+    return;
+  }
+  const options = Object.entries(LAYOUTS).map(([id, label]) => `<option value="${id}">${game.i18n.localize(label)}</option>`).join("");
+  const layout = await Dialog.prompt({
+    title: game.i18n.localize("INVESTIGATION_BOARD.Arrange.Title"),
+    content: `
+      <div class="form-group">
+        <label>${game.i18n.localize("INVESTIGATION_BOARD.Arrange.Layout")}:</label>
+        <select name="layout">${options}</select>
+      </div>
+      <p class="notes">${game.i18n.localize("INVESTIGATION_BOARD.Arrange.Hint")}</p>`,
+    label: game.i18n.localize("INVESTIGATION_BOARD.Arrange.Arrange"),
+    callback: html => html.find("select[name='layout']").val(),
+    rejectClose: false,
+  });
+  if (layout) await layer.arrangeNotes(layout);
+}
@@ -0,0 +1,428 @@
+import { MODULE_ID } from "./constants.js";
+import { drawConnections } from "./connections.js";
+import { computeLayout } from "./auto-layout.js";
+import { isStatusHidden } from "./clue-status.js";
+import { getUpdatedScenes } from "./hidden-notes.js";
+import { InvestigationNote } from "./investigation-note.js";
+import { NoteHUD } from "./note-hud.js";
+import {
+  PIN_COLORS, getNote, getNotes, getPinColor, createNotes, updateNotes, deleteNotes, clearNotes, revealNotes, turnNotesFaceDown,
+} from "./notes.js";
+import { QuickNoteEditor } from "./quick-note.js";
+import { computeTimeline, drawTimeline } from "./timeline.js";
+import { canViewNote } from "./visibility.js";
+
+/**
+ * A dedicated canvas layer which renders the notes stored on the current scene.
+ * Notes can be selected, dragged and deleted whenever this layer is active, independently of the drawing tools.
+ */
+export class InvestigationBoardLayer extends InteractionLayer {
+  constructor() {
+    super();
+    /** @type {Map<string, InvestigationNote>} */
+    this.notes = new Map();
+    /** @type {Set<InvestigationNote>} */
+    this.controlled = new Set();
+    /** @type {NoteHUD} */
+    this.hud = new NoteHUD();
+    /** @type {QuickNoteEditor} */
+    this.quickNote = new QuickNoteEditor();
+    // Earlier positions of moved notes, for undo.
+    this.history = [];
+    // The current timeline layout while timeline mode is on, otherwise null.
+    this.timeline = null;
+    this._drag = null;
+  }
+
+  static get layerOptions() {
+    return foundry.utils.mergeObject(super.layerOptions, {
+      name: "investigationBoard",
+      zIndex: 180,
+    });
+  }
+
+  async _draw(options) {
+    this.timelineContainer = this.addChild(new PIXI.Container());
+    this.timelineContainer.eventMode = "none";
+    this.notesContainer = this.addChild(new PIXI.Container());
+    this.notesContainer.sortableChildren = true;
+    this.strings = this.addChild(new PIXI.Graphics());
+    this.strings.eventMode = "none";
+    this.selectionBox = this.addChild(new PIXI.Graphics());
+    this.selectionBox.eventMode = "none";
+    await this.syncNotes();
+  }
+
+  async _tearDown(options) {
+    this.hud.close();
+    this.quickNote.close();
+    for (const note of this.notes.values()) note._sheet?.close();
+    this.notes.clear();
+    this.controlled.clear();
+    this._drag = null;
+    this._pendingRefresh = null;
+    this.history = [];
+    // Timeline mode stays on when the scene changes, laid out afresh for the new scene.
+    if (this.timeline) this.timeline = {};
+    return super._tearDown(options);
+  }
+
+  _deactivate() {
+    this.releaseAll();
+    this.hud.close();
+  }
+
+  /**
+   * Bring the rendered notes in line with the notes stored on the scene.
+   */
+  async syncNotes() {
+    const seen = new Set();
+    for (const data of getNotes(canvas.scene)) {
+      if (!canViewNote(data) || isStatusHidden(data)) continue;
+      seen.add(data.id);
+      const note = this.notes.get(data.id);
+      if (!note) {
+        await this._createNoteObject(foundry.utils.deepClone(data));
+      } else if (!foundry.utils.objectsEqual(note.data, data)) {
+        const revealed = note.data.visibility === "facedown" && data.visibility !== "facedown";
+        const update = () => note.update(foundry.utils.deepClone(data));
+        if (revealed && game.settings.get(MODULE_ID, "revealAnimation")) await note.flip(update);
+        else await update();
+        if (note._sheet?.rendered) note._sheet.render();
+        if (this.hud.note === note) this.hud.render();
+      }
+    }
+    for (const note of [...this.notes.values()]) {
+      if (!seen.has(note.id)) this._destroyNoteObject(note);
+    }
+    this._refreshLayout();
+  }
+
+  /**
+   * Redraw the given parts of every note, or all of them. Requests made in quick succession,
+   * such as several settings saved together, are batched into a single redraw.
+   */
+  refreshNotes(parts) {
+    this._pendingRefresh ??= new Set();
+    if (parts) for (const part of parts) this._pendingRefresh.add(part);
+    else this._pendingRefresh.add("all");
+    this._debouncedRefresh();
+  }
+
+  _debouncedRefresh = foundry.utils.debounce(async () => {
+    const pending = this._pendingRefresh;
+    this._pendingRefresh = null;
+    if (!pending || !this.notesContainer || this.notesContainer.destroyed) return;
+    const parts = pending.has("all") ? undefined : [...pending];
+    for (const note of this.notes.values()) await note.refresh(parts);
+    this._refreshLayout();
+  }, 50);
+
+  // Lay the notes out on the timeline while it is shown, then redraw the strings between them.
+  _refreshLayout() {
+    if (this.timeline) {
+      this.timeline = computeTimeline([...this.notes.values()], canvas.dimensions.sceneRect);
+      for (const [id, { x, y }] of this.timeline.positions) this.notes.get(id)?.position.set(x, y);
+      drawTimeline(this.timelineContainer, this.timeline);
+      if (this.hud.note) this.hud.setPosition();
+    }
+    drawConnections();
+  }
+
+  /**
+   * Show or hide the timeline. While it is shown, notes are laid out by date
+   * and dragging a note along the axis changes its date instead of its position.
+   */
+  toggleTimeline(active = !this.timeline) {
+    this.timeline = active ? {} : null;
+    if (!active) {
+      for (const child of this.timelineContainer.removeChildren()) child.destroy();
+      for (const note of this.notes.values()) note.position.set(note.data.x, note.data.y);
+      if (this.hud.note) this.hud.setPosition();
+    }
+    this._refreshLayout();
+  }
+
+  async _createNoteObject(data) {
+    const note = new InvestigationNote(data);
+    note.on("pointerdown", event => this._onNotePointerDown(event, note));
+    note.on("rightdown", event => this._onNoteRightDown(event, note));
+    note.on("click", event => {
+      if ((event.detail >= 2) && note.canEdit) note.sheet.render(true);
+    });
+    this.notes.set(note.id, note);
+    this.notesContainer.addChild(note);
+    await note.draw();
+    return note;
+  }
+
+  _destroyNoteObject(note) {
+    if (this.hud.note === note) this.hud.close();
+    this.controlled.delete(note);
+    this.notes.delete(note.id);
+    note._sheet?.close();
+    this.notesContainer.removeChild(note);
+    note.destroy({ children: true });
+  }
+
+  /* -------------------------------------------- */
+  /*  Selection                                   */
+  /* -------------------------------------------- */
+
+  control(note, { releaseOthers = true } = {}) {
+    if (releaseOthers) this.releaseAll();
+    if (this.controlled.has(note)) return;
+    this.controlled.add(note);
+    note.controlled = true;
+    note._refreshState();
+  }
+
+  release(note) {
+    if (!this.controlled.delete(note)) return;
+    note.controlled = false;
+    note._refreshState();
+  }
+
+  releaseAll() {
+    for (const note of [...this.controlled]) this.release(note);
+  }
+
+  /**
+   * Select every note whose center lies within a rectangle.
+   * The canvas also calls this when the select tool draws a selection box.
+   */
+  selectObjects({ x, y, width, height } = {}, { releaseOthers = true } = {}) {
+    if (releaseOthers) this.releaseAll();
+    const rect = new PIXI.Rectangle(x, y, width, height);
+    for (const note of this.notes.values()) {
+      const center = { x: note.x + note.noteWidth / 2, y: note.y + note.noteHeight / 2 };
+      if (rect.contains(center.x, center.y)) this.control(note, { releaseOthers: false });
+    }
+    return this.controlled.size > 0;
+  }
+
+  /**
+   * Pan and zoom the canvas to a note on this scene, select it and highlight it.
+   */
+  async panToNote(id) {
+    const note = this.notes.get(id);
+    if (!note) return;
+    if (!this.active) this.activate();
+    this.control(note);
+    const scale = Math.max(canvas.stage.scale.x, 1);
+    await canvas.animatePan({ x: note.x + note.noteWidth / 2, y: note.y + note.noteHeight / 2, scale, duration: 500 });
+    await note.highlight();
+  }
+
+  /**
+   * Move notes to new positions as a single step that can be undone.
+   * @param {{id: string, x: number, y: number}[]} positions
+   */
+  async moveNotes(positions) {
+    const previous = positions
+      .map(({ id }) => this.notes.get(id))
+      .filter(note => note)
+      .map(note => ({ id: note.id, x: note.data.x, y: note.data.y }));
+    if (!previous.length) return;
+    this.history.push(previous);
+    if (this.history.length > 20) this.history.shift();
+    await updateNotes(canvas.scene, positions.map(({ id, x, y }) => ({ id, x: Math.round(x), y: Math.round(y) })));
+  }
+
+  // Put the notes moved last back where they were.
+  async undoHistory() {
+    const positions = this.history.pop();
+    if (!positions) return;
+    await updateNotes(canvas.scene, positions.filter(({ id }) => getNote(id)));
+  }
+
+  /**
+   * Arrange the selected notes, or the given ones, with one of the auto-layouts.
+   */
+  async arrangeNotes(layout, ids) {
+    const notes = ids
+      ? ids.map(id => this.notes.get(id)).filter(n => n)
+      : [...this.controlled].filter(n => n.canEdit);
+    await this.moveNotes(computeLayout(layout, notes));
+  }
+
+  async deleteControlled() {
+    const ids = [...this.controlled].filter(n => n.canEdit).map(n => n.id);
+    if (!ids.length) return;
+    this.releaseAll();
+    await deleteNotes(canvas.scene, ids);
+  }
+
+  // Reveal the selected notes, or the given ones, to every player. Also usable from a macro.
+  async revealNotes(ids = [...this.controlled].map(n => n.id)) {
+    await revealNotes(canvas.scene, ids);
+  }
+
+  async turnNotesFaceDown(ids = [...this.controlled].map(n => n.id)) {
+    await turnNotesFaceDown(canvas.scene, ids);
+  }
+
+  // Give the selected notes the next pin color, going through the colors and then no pin.
+  async cyclePinColor() {
+    const notes = [...this.controlled].filter(n => n.canEdit);
+    if (!notes.length) return;
+    const colors = [...PIN_COLORS, "none"];
+    const next = colors[(colors.indexOf(getPinColor(notes[0].data)) + 1) % colors.length];
+    await updateNotes(canvas.scene, notes.map(n => ({ id: n.id, pinColor: next })));
+  }
+
+  // Copy the selected notes, slightly offset from the originals. Strings are not copied,
+  // and copies made by players are public like any note a player creates.
+  async duplicateControlled() {
+    const OFFSET = 30;
+    const copies = [...this.controlled].filter(n => n.canEdit).map(n => {
+      const { id, schemaVersion, ...data } = foundry.utils.deepClone(n.data);
+      if (!game.user.isGM) {
+        delete data.visibility;
+        delete data.players;
+      }
+      return { ...data, x: data.x + OFFSET, y: data.y + OFFSET };
+    });
+    if (!copies.length) return;
+    await createNotes(canvas.scene, copies);
+  }
+
+  async clearBoard() {
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("INVESTIGATION_BOARD.Controls.ClearBoard"),
+      content: `<p>${game.i18n.localize("INVESTIGATION_BOARD.Board.ClearConfirm")}</p>`,
+    });
+    if (!confirmed) return;
+    this.releaseAll();
+    await clearNotes(canvas.scene);
+  }
+
+  /* -------------------------------------------- */
+  /*  Note Interaction                            */
+  /* -------------------------------------------- */
+
+  _onNotePointerDown(event, note) {
+    if (event.button !== 0) return;
+    event.stopPropagation();
+    this.hud.close();
+
+    if (event.shiftKey && this.controlled.has(note)) return this.release(note);
+    if (!this.controlled.has(note)) this.control(note, { releaseOthers: !event.shiftKey });
+
+    // Start dragging every selected note the user may move.
+    const notes = [...this.controlled].filter(n => n.canEdit);
+    if (!notes.length) return;
+    this._drag = {
+      origin: event.getLocalPosition(this),
+      moved: false,
+      notes: notes.map(n => ({ note: n, x: n.data.x, y: n.data.y })),
+    };
+    canvas.stage.on("pointermove", this._onNoteDragMove);
+    canvas.stage.once("pointerup", this._onNoteDragEnd);
+    canvas.stage.once("pointerupoutside", this._onNoteDragEnd);
+  }
+
+  // Right-clicking a note toggles its status HUD.
+  _onNoteRightDown(event, note) {
+    event.stopPropagation();
+    if (this.hud.note === note) return this.hud.close();
+    if (note.canEdit) this.hud.bind(note);
+  }
+
+  _onNoteDragMove = event => {
+    if (!this._drag) return;
+    const position = event.getLocalPosition(this);
+    const dx = position.x - this._drag.origin.x;
+    const dy = position.y - this._drag.origin.y;
+    this._drag.moved ||= Math.hypot(dx, dy) > 2;
+    for (const { note, x, y } of this._drag.notes) {
+      note.position.set(x + dx, y + dy);
+    }
+    drawConnections();
+  };
+
+  _onNoteDragEnd = async event => {
+    canvas.stage.off("pointermove", this._onNoteDragMove);
+    canvas.stage.off("pointerup", this._onNoteDragEnd);
+    canvas.stage.off("pointerupoutside", this._onNoteDragEnd);
+    const drag = this._drag;
+    this._drag = null;
+    if (!drag?.moved) return;
+
+    if (this.timeline) return this._onTimelineDrop(drag);
+    await this.moveNotes(drag.notes.map(({ note }) => ({ id: note.id, x: note.x, y: note.y })));
+  };
+
+  // Date the dropped notes by where their centers fall along the axis. Notes dropped in the parking area lose their date.
+  async _onTimelineDrop(drag) {
+    const { parking, hasDates, toDate } = this.timeline;
+    const updates = [];
+    for (const { note } of drag.notes) {
+      const parked = note.y + note.noteHeight / 2 >= parking.y;
+      if (!parked && !hasDates) continue;
+      const date = parked ? null : toDate(note.x + note.noteWidth / 2);
+      if ((note.data.date ?? null) !== date) updates.push({ id: note.id, date });
+    }
+    if (updates.length) await updateNotes(canvas.scene, updates);
+    // Put back notes whose date did not change.
+    this._refreshLayout();
+  }
+
+  /* -------------------------------------------- */
+  /*  Canvas Interaction                          */
+  /* -------------------------------------------- */
+
+  _onClickLeft(event) {
+    this.releaseAll();
+    this.hud.close();
+  }
+
+  _onClickRight(event) {
+    this.hud.close();
+  }
+
+  _onDragLeftStart(event) {
+    this.selectionBox.clear();
+  }
+
+  _onDragLeftMove(event) {
+    const { origin, destination } = event.interactionData;
+    const rect = this._getSelectionRectangle(origin, destination);
+    this.selectionBox.clear()
+      .lineStyle(2, 0xff9829, 0.9)
+      .beginFill(0xff9829, 0.1)
+      .drawRect(rect.x, rect.y, rect.width, rect.height)
+      .endFill();
+  }
+
+  _onDragLeftDrop(event) {
+    const { origin, destination } = event.interactionData;
+    const rect = this._getSelectionRectangle(origin, destination);
+    this.selectionBox.clear();
+    this.selectObjects(rect, { releaseOthers: !event.shiftKey });
+  }
+
+  _onDragLeftCancel(event) {
+    this.selectionBox.clear();
+  }
+
+  _getSelectionRectangle(origin, destination) {
+    return new PIXI.Rectangle(
+      Math.min(origin.x, destination.x),
+      Math.min(origin.y, destination.y),
+      Math.abs(destination.x - origin.x),
+      Math.abs(destination.y - origin.y)
+    );
+  }
+}
+
+Hooks.on("updateScene", (scene, changes) => {
+  if (scene.id !== canvas.scene?.id || !canvas.investigationBoard) return;
+  if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}`)) canvas.investigationBoard.syncNotes();
+});
+
+// The contents of hidden notes are kept in journal entries (see hidden-notes.js).
+Hooks.on("updateJournalEntry", (entry, changes) => {
+  if (!canvas.investigationBoard || !getUpdatedScenes(entry, changes).includes(canvas.scene?.id)) return;
+  canvas.investigationBoard.syncNotes();
+});
@@ -0,0 +1,159 @@
+import { PIN_COLORS, getNotes, getPinColor } from "./notes.js";
+import { getCardText } from "./card-templates.js";
+import { richTextToPlain } from "./rich-text.js";
+import { canViewNote, isFaceDown } from "./visibility.js";
+
+export const NOTE_TYPE_LABELS = {
+  sticky: "INVESTIGATION_BOARD.NoteTypes.sticky",
+  photo: "INVESTIGATION_BOARD.NoteTypes.photo",
+  index: "INVESTIGATION_BOARD.NoteTypes.index",
+};
+export const NOTE_TYPE_ICONS = { sticky: "fas fa-sticky-note", photo: "fa-solid fa-camera-polaroid", index: "fa-regular fa-subtitles" };
+
+// A short name for a note: its identity name, the first line of its text, or its type.
+export function getNoteTitle(note) {
+  return note.identityName || richTextToPlain(getCardText(note)).split("\n")[0] || game.i18n.localize(NOTE_TYPE_LABELS[note.type]);
+}
+
+// Players only get to look through scenes they can reach from the navigation bar.
+function canBrowseScene(scene) {
+  return game.user.isGM || scene.active || scene.navigation || (scene.id === canvas.scene?.id);
+}
+
+/**
+ * Lists the notes on the current scene, or on every scene, with a search over their text and filters
+ * by note type and pin color. Clicking a note pans the canvas to it.
+ */
+export class BoardOverview extends Application {
+  constructor(options) {
+    super(options);
+    this.filters = { search: "", type: "", pin: "", allScenes: false };
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "investigation-board-overview",
+      classes: ["investigation-board-overview"],
+      template: "modules/investigation-board/templates/board-overview.html",
+      title: "INVESTIGATION_BOARD.Controls.BoardOverview",
+      width: 360,
+      height: 560,
+      resizable: true,
+    });
+  }
+
+  getData(options) {
+    const scenes = this.filters.allScenes
+      ? game.scenes.filter(canBrowseScene)
+      : [canvas.scene].filter(s => s);
+
+    const groups = scenes.map(scene => {
+      const notes = getNotes(scene).filter(note => canViewNote(note)).map(note => {
+        // Face-down notes are listed, but give nothing away.
+        const faceDown = isFaceDown(note);
+        const name = faceDown ? "" : (note.identityName ?? "");
+        const text = faceDown ? "" : richTextToPlain(getCardText(note));
+        const title = name || text.split("\n")[0] || game.i18n.localize(NOTE_TYPE_LABELS[note.type]);
+        return {
+          id: note.id,
+          sceneId: scene.id,
+          type: note.type,
+          icon: NOTE_TYPE_ICONS[note.type],
+          pin: getPinColor(note).replace("Pin.webp", ""),
+          // Notes that follow the Pin Color setting, or have their pin removed, are filtered under "none".
+          pinFilter: note.pinColor ? note.pinColor.replace("Pin.webp", "") : "none",
+          title,
+          text: text === title ? "" : text,
+          search: [name, text].filter(t => t).join("\n").toLowerCase(),
+        };
+      });
+      notes.sort((a, b) => a.title.localeCompare(b.title));
+      return { id: scene.id, name: scene.navName || scene.name, notes };
+    }).filter(group => group.notes.length);
+
+    return {
+      filters: this.filters,
+      groups,
+      showScenes: this.filters.allScenes,
+      types: NOTE_TYPE_LABELS,
+      pins: {
+        ...Object.fromEntries(PIN_COLORS.map(file => {
+          const color = file.replace("Pin.webp", "");
+          return [color, `INVESTIGATION_BOARD.PinColors.${color}`];
+        })),
+        none: "INVESTIGATION_BOARD.Overview.NoPinColor",
+      },
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find("input[name='search']").on("input", ev => {
+      this.filters.search = ev.currentTarget.value;
+      this._applyFilters(html);
+    });
+    html.find("select[name='type'], select[name='pin']").change(ev => {
+      this.filters[ev.currentTarget.name] = ev.currentTarget.value;
+      this._applyFilters(html);
+    });
+    html.find("input[name='allScenes']").change(ev => {
+      this.filters.allScenes = ev.currentTarget.checked;
+      this.render();
+    });
+    html.find(".overview-note").click(ev => {
+      const { sceneId, noteId } = ev.currentTarget.dataset;
+      this.showNote(sceneId, noteId);
+    });
+    this._applyFilters(html);
+  }
+
+  // Filtering hides entries in place, so typing in the search box keeps its focus.
+  _applyFilters(html) {
+    const { search, type, pin } = this.filters;
+    const query = search.trim().toLowerCase();
+    for (const group of html.find(".overview-scene")) {
+      let shown = 0;
+      for (const entry of group.querySelectorAll(".overview-note")) {
+        const match = (!query || entry.dataset.search.includes(query))
+          && (!type || entry.dataset.type === type)
+          && (!pin || entry.dataset.pin === pin);
+        entry.classList.toggle("hidden", !match);
+        if (match) shown += 1;
+      }
+      group.classList.toggle("hidden", !shown);
+    }
+    html.find(".overview-empty").toggleClass("hidden", !!html.find(".overview-note:not(.hidden)").length);
+  }
+
+  showNote(sceneId, noteId) {
+    return showNote(sceneId, noteId);
+  }
+}
+
+/**
+ * Pan to a note, viewing its scene first if it is on another one.
+ */
+export async function showNote(sceneId, noteId) {
+  if (sceneId === canvas.scene?.id) return canvas.investigationBoard.panToNote(noteId);
+  const scene = game.scenes.get(sceneId);
+  if (!scene) return;
+  Hooks.once("canvasReady", () => canvas.investigationBoard.panToNote(noteId));
+  await scene.view();
+}
+
+let overview = null;
+
+export function openBoardOverview() {
+  overview ??= new BoardOverview();
+  return overview.render(true);
+}
+
+// Keep the overview up to date while it is open.
+function refreshOverview() {
+  if (overview?.rendered) overview.render();
+}
+
+for (const hook of ["createNote", "updateNote", "deleteNote"]) {
+  Hooks.on(`investigationBoard.${hook}`, refreshOverview);
+}
+Hooks.on("canvasReady", refreshOverview);
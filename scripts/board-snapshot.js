@@ -0,0 +1,221 @@
+import { NOTE_TYPE_LABELS, getNoteTitle } from "./board-overview.js";
+import { getCardText } from "./card-templates.js";
+import { getNotes } from "./notes.js";
+import { richTextToHTML, richTextToPlain } from "./rich-text.js";
+import { NOTE_TYPES } from "./themes.js";
+import { canViewNote, isFaceDown } from "./visibility.js";
+
+/*
+ * Snapshots of the board after a session: a PNG of the notes as they are drawn on the canvas,
+ * and a recap listing the notes by type, as Markdown, HTML or a journal entry.
+ */
+
+export const RECAP_FORMATS = {
+  markdown: "INVESTIGATION_BOARD.Snapshot.Markdown",
+  html: "INVESTIGATION_BOARD.Snapshot.HTML",
+};
+
+export const IMAGE_RESOLUTIONS = { 0.5: "50%", 1: "100%", 2: "200%", 4: "400%" };
+
+// Larger images than this do not fit in a texture on many graphics cards, so the resolution is lowered to fit.
+const MAX_IMAGE_SIZE = 8192;
+const IMAGE_PADDING = 40;
+const PLACEHOLDER_IMAGE = "modules/investigation-board/assets/placeholder.webp";
+
+function getFilename(scene, extension) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `investigation-board-${scene.name.slugify() || scene.id}-${date}.${extension}`;
+}
+
+/**
+ * Render the notes and strings of the current scene, as this user sees them, to a PNG cropped to the notes.
+ * @param {object} [options]
+ * @param {number} [options.resolution=1]   Pixels per canvas pixel
+ * @returns {Promise<Blob|null>}
+ */
+export async function renderBoardImage({ resolution = 1 } = {}) {
+  const layer = canvas.investigationBoard;
+  if (!layer?.notes.size) return null;
+
+  const bounds = layer.notesContainer.getLocalBounds().clone().pad(IMAGE_PADDING);
+  const scale = Math.min(resolution, MAX_IMAGE_SIZE / Math.max(bounds.width, bounds.height));
+  const texture = PIXI.RenderTexture.create({
+    width: Math.ceil(bounds.width),
+    height: Math.ceil(bounds.height),
+    resolution: scale,
+  });
+  // Draw the layer in its own coordinates, whatever the pan and zoom of the canvas, with the box's corner at the origin.
+  const transform = layer.worldTransform.clone().invert().translate(-bounds.x, -bounds.y);
+
+  // Leave the selection out of the picture.
+  const controlled = [...layer.controlled];
+  layer.releaseAll();
+  layer.selectionBox.visible = false;
+  try {
+    canvas.app.renderer.render(layer, { renderTexture: texture, transform, skipUpdateTransform: true, clear: true });
+    const image = canvas.app.renderer.extract.canvas(texture);
+    return await new Promise(resolve => image.toBlob(resolve, "image/png"));
+  } finally {
+    texture.destroy(true);
+    layer.selectionBox.visible = true;
+    for (const note of controlled) layer.control(note, { releaseOthers: false });
+  }
+}
+
+/**
+ * Download a PNG of the board on the current scene.
+ */
+export async function exportBoardImage({ resolution = 1 } = {}) {
+  const scene = canvas.scene;
+  const blob = await renderBoardImage({ resolution });
+  if (!blob) {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Snapshot.NoNotes"));
+    return;
+  }
+  saveDataToFile(blob, "image/png", getFilename(scene, "png"));
+}
+
+// The notes a recap lists, by note type. Notes this user cannot read are left out,
+// and with `publicOnly` so are all notes that not every player can see.
+function getRecapGroups(scene, publicOnly) {
+  const notes = getNotes(scene).filter(note => {
+    if (!canViewNote(note) || isFaceDown(note)) return false;
+    return !publicOnly || ((note.visibility ?? "public") === "public");
+  });
+  return NOTE_TYPES.map(type => {
+    const entries = notes.filter(note => note.type === type).map(note => {
+      const title = getNoteTitle(note);
+      const text = getCardText(note);
+      return {
+        title,
+        text: richTextToPlain(text) === title ? "" : text,
+        image: (type === "photo") && note.image && (note.image !== PLACEHOLDER_IMAGE) ? note.image : "",
+      };
+    });
+    entries.sort((a, b) => a.title.localeCompare(b.title));
+    return { label: game.i18n.localize(NOTE_TYPE_LABELS[type]), notes: entries };
+  }).filter(group => group.notes.length);
+}
+
+/**
+ * Write a recap of the board: every note's type, text, identity name and photo, grouped by note type.
+ * Each note is headed by its identity name, or the first line of its text.
+ * @param {Scene} [scene]
+ * @param {object} [options]
+ * @param {string} [options.format="html"]      markdown or html
+ * @param {boolean} [options.publicOnly=false]  Only list the notes every player can see
+ * @returns {string}
+ */
+export function buildSessionRecap(scene = canvas.scene, { format = "html", publicOnly = false } = {}) {
+  const groups = getRecapGroups(scene, publicOnly);
+  if (format === "markdown") {
+    return groups.map(group => [
+      `## ${group.label}`,
+      ...group.notes.map(note => [
+        `### ${note.title}`,
+        richTextToPlain(note.text).split("\n").map(line => line.replace(/^• /, "- ")).join("\n"),
+        note.image ? `![${note.title}](${encodeURI(note.image)})` : "",
+      ].filter(part => part).join("\n\n")),
+    ].join("\n\n")).join("\n\n");
+  }
+
+  const escape = foundry.utils.escapeHTML;
+  return groups.map(group => [
+    `<h2>${escape(group.label)}</h2>`,
+    ...group.notes.map(note => [
+      `<h3>${escape(note.title)}</h3>`,
+      note.text ? richTextToHTML(note.text) : "",
+      note.image ? `<p><img src="${escape(note.image)}" alt="${escape(note.title)}" /></p>` : "",
+    ].join("")),
+  ].join("")).join("");
+}
+
+function getRecapTitle(scene) {
+  return game.i18n.format("INVESTIGATION_BOARD.Snapshot.RecapTitle", {
+    scene: scene.navName || scene.name,
+    date: new Date().toLocaleDateString(),
+  });
+}
+
+/**
+ * Download a recap of the board as a Markdown or HTML file.
+ */
+export function exportSessionRecap(scene = canvas.scene, { format = "markdown", publicOnly = false } = {}) {
+  const title = getRecapTitle(scene);
+  const recap = buildSessionRecap(scene, { format, publicOnly });
+  if (!recap) {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Snapshot.NoNotes"));
+    return;
+  }
+  if (format === "markdown") {
+    saveDataToFile(`# ${title}\n\n${recap}\n`, "text/markdown", getFilename(scene, "md"));
+  } else {
+    const escaped = foundry.utils.escapeHTML(title);
+    const html = `<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8" /><title>${escaped}</title></head>\n<body><h1>${escaped}</h1>${recap}</body>\n</html>\n`;
+    saveDataToFile(html, "text/html", getFilename(scene, "html"));
+  }
+}
+
+/**
+ * Save a recap of the board as a new journal entry. Recaps of only the public notes can be read by every player;
+ * others are kept to the GMs.
+ * @returns {Promise<JournalEntry|undefined>}
+ */
+export async function saveRecapJournal(scene = canvas.scene, { publicOnly = true } = {}) {
+  const content = buildSessionRecap(scene, { format: "html", publicOnly });
+  if (!content) {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Snapshot.NoNotes"));
+    return;
+  }
+  const name = getRecapTitle(scene);
+  const { OBSERVER, NONE } = CONST.DOCUMENT_OWNERSHIP_LEVELS;
+  const entry = await JournalEntry.create({
+    name,
+    ownership: { default: publicOnly ? OBSERVER : NONE },
+    pages: [{ name, type: "text", text: { content } }],
+  });
+  ui.notifications.info(game.i18n.format("INVESTIGATION_BOARD.Snapshot.JournalSaved", { name }));
+  return entry;
+}
+
+/**
+ * Ask how to snapshot the board of the current scene: as an image, a recap file or a journal entry.
+ */
+export async function promptBoardSnapshot() {
+  const scene = canvas.scene;
+  if (!scene) return;
+  const canCreateJournal = game.user.can("JOURNAL_CREATE");
+  const content = await renderTemplate("modules/investigation-board/templates/board-snapshot.html", {
+    resolutions: IMAGE_RESOLUTIONS,
+    formats: RECAP_FORMATS,
+  });
+  const readForm = html => {
+    const form = html[0].querySelector("form");
+    return { resolution: Number(form.resolution.value) || 1, format: form.format.value, publicOnly: form.publicOnly.checked };
+  };
+  const buttons = {
+    image: {
+      icon: '<i class="fas fa-image"></i>',
+      label: game.i18n.localize("INVESTIGATION_BOARD.Snapshot.DownloadImage"),
+      callback: html => exportBoardImage(readForm(html)),
+    },
+    recap: {
+      icon: '<i class="fas fa-file-alt"></i>',
+      label: game.i18n.localize("INVESTIGATION_BOARD.Snapshot.DownloadRecap"),
+      callback: html => exportSessionRecap(scene, readForm(html)),
+    },
+  };
+  if (canCreateJournal) {
+    buttons.journal = {
+      icon: '<i class="fas fa-book-open"></i>',
+      label: game.i18n.localize("INVESTIGATION_BOARD.Snapshot.SaveJournal"),
+      callback: html => saveRecapJournal(scene, readForm(html)),
+    };
+  }
+  new Dialog({
+    title: game.i18n.localize("INVESTIGATION_BOARD.Snapshot.Title"),
+    content,
+    buttons,
+    default: "image",
+  }).render(true);
+}
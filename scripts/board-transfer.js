@@ -0,0 +1,200 @@
+import { MODULE_ID } from "./constants.js";
+import { createConnections, getConnections } from "./connections.js";
+import { NOTE_SCHEMA_VERSION, migrateNoteData } from "./migration.js";
+import { clearNotes, createNotes, getNoteSize, getNotes } from "./notes.js";
+import { NOTE_TYPES } from "./themes.js";
+
+/*
+ * Boards are exported as JSON files:
+ * {
+ *   format: "investigation-board",
+ *   version: 1,
+ *   schemaVersion: 1,   // the note schema version of the notes, see migration.js
+ *   notes: [{ id, type, text, image, identityName, pinColor, linkedUuid, visibility, players, status, template, fields,
+ *              tint, font, fontSize, size, rotation, flags, x, y, width, height }],
+ *   connections: [{ from, to, color }]
+ * }
+ * Notes from files without a schemaVersion, or an older one, are migrated as they are imported.
+ * The width and height of each note are informational; imported notes are sized by the note width settings
+ * and their own size factor.
+ */
+export const BOARD_FORMAT = "investigation-board";
+export const BOARD_FORMAT_VERSION = 1;
+
+const NOTE_FIELDS = ["id", "type", "text", "image", "identityName", "pinColor", "linkedUuid", "visibility", "players", "status", "template", "fields", "tint", "font", "fontSize", "size", "rotation", "photoFit", "photoZoom", "photoFocus", "photoFilter", "date", "flags", "x", "y"];
+const TEXT_FIELDS = ["text", "image", "identityName", "pinColor", "linkedUuid", "visibility", "template", "tint", "font", "photoFit", "photoFilter", "date"];
+
+const IMPORT_MODES = {
+  merge: "INVESTIGATION_BOARD.Transfer.Modes.merge",
+  replace: "INVESTIGATION_BOARD.Transfer.Modes.replace",
+};
+
+function pickNoteFields(note) {
+  return Object.fromEntries(NOTE_FIELDS.filter(field => note[field] !== undefined).map(field => [field, note[field]]));
+}
+
+// An import file that cannot be read. The message, from the Transfer.Errors language keys, is shown to the user as is.
+export class BoardImportError extends Error {
+  constructor(key, data = {}) {
+    super(game.i18n.format(`INVESTIGATION_BOARD.Transfer.Errors.${key}`, data));
+  }
+}
+
+export function exportBoardData(scene = canvas.scene) {
+  return {
+    format: BOARD_FORMAT,
+    version: BOARD_FORMAT_VERSION,
+    schemaVersion: NOTE_SCHEMA_VERSION,
+    moduleVersion: game.modules.get(MODULE_ID).version,
+    scene: scene.name,
+    exportedAt: new Date().toISOString(),
+    notes: getNotes(scene).map(note => ({
+      ...pickNoteFields(note),
+      ...getNoteSize(note.type, note),
+    })),
+    connections: getConnections(scene).map(({ from, to, color }) => ({ from, to, color })),
+  };
+}
+
+/**
+ * Check that data read from a file is a board export this version can import.
+ * Throws a BoardImportError describing the first problem found.
+ */
+export function validateBoardData(data) {
+  if (!data || (typeof data !== "object") || Array.isArray(data) || (data.format !== BOARD_FORMAT)) {
+    throw new BoardImportError("NotBoard");
+  }
+  if (!Number.isInteger(data.version) || (data.version < 1)) {
+    throw new BoardImportError("NoVersion");
+  }
+  if (data.version > BOARD_FORMAT_VERSION) {
+    throw new BoardImportError("NewerVersion", { version: data.version, supported: BOARD_FORMAT_VERSION });
+  }
+  if (Number.isInteger(data.schemaVersion) && (data.schemaVersion > NOTE_SCHEMA_VERSION)) {
+    throw new BoardImportError("NewerNotes");
+  }
+  if (!Array.isArray(data.notes)) throw new BoardImportError("NoNotes");
+
+  const ids = new Set();
+  data.notes.forEach((note, index) => {
+    const name = game.i18n.format("INVESTIGATION_BOARD.Transfer.Errors.NoteName", { index: index + 1 });
+    if (!note || (typeof note !== "object")) throw new BoardImportError("NotANote", { name });
+    if (!NOTE_TYPES.includes(note.type)) throw new BoardImportError("UnknownType", { name, type: note.type });
+    if (!Number.isFinite(note.x) || !Number.isFinite(note.y)) throw new BoardImportError("NoPosition", { name });
+    for (const field of TEXT_FIELDS) {
+      if ((note[field] != null) && (typeof note[field] !== "string")) {
+        throw new BoardImportError("InvalidField", { name, field });
+      }
+    }
+    if ((note.players !== undefined) && !Array.isArray(note.players)) throw new BoardImportError("InvalidPlayers", { name });
+    for (const field of ["fields", "flags", "photoFocus"]) {
+      if ((note[field] !== undefined) && (foundry.utils.getType(note[field]) !== "Object")) throw new BoardImportError("InvalidField", { name, field });
+    }
+    if (note.id) ids.add(note.id);
+  });
+
+  if ((data.connections !== undefined) && !Array.isArray(data.connections)) {
+    throw new BoardImportError("StringsNotList");
+  }
+  for (const [index, connection] of (data.connections ?? []).entries()) {
+    if (!ids.has(connection?.from) || !ids.has(connection?.to)) {
+      throw new BoardImportError("StringMissingNote", { index: index + 1 });
+    }
+  }
+}
+
+/**
+ * Recreate the notes and strings of a board export on a scene.
+ * Imported notes get new ids, so the same board can be imported several times.
+ * @param {object} data
+ * @param {object} [options]
+ * @param {string} [options.mode="merge"]       "merge" keeps the notes on the scene, "replace" deletes them first
+ * @param {{x: number, y: number}} [options.offset]  Moves every imported note
+ * @returns {Promise<object[]>}                  The created notes
+ */
+export async function importBoardData(data, { mode = "merge", offset = { x: 0, y: 0 }, scene = canvas.scene } = {}) {
+  validateBoardData(data);
+  if (mode === "replace") await clearNotes(scene);
+
+  const ids = new Map();
+  const notes = [];
+  for (const note of data.notes) {
+    const id = foundry.utils.randomID();
+    if (note.id) ids.set(note.id, id);
+    const migrated = await migrateNoteData(pickNoteFields(note), { fromVersion: data.schemaVersion ?? 0 });
+    notes.push({
+      ...migrated,
+      id,
+      x: Math.round(note.x + (offset.x || 0)),
+      y: Math.round(note.y + (offset.y || 0)),
+    });
+  }
+  const created = await createNotes(scene, notes);
+  if (!created.length) return created;
+
+  const connections = (data.connections ?? []).map(({ from, to, color }) => ({ from: ids.get(from), to: ids.get(to), color }));
+  await createConnections(scene, connections);
+  return created;
+}
+
+export function exportBoard(scene = canvas.scene) {
+  if (!scene) return;
+  const data = exportBoardData(scene);
+  if (!data.notes.length) {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Transfer.NoNotes"));
+    return;
+  }
+  const filename = `investigation-board-${scene.name.slugify() || scene.id}.json`;
+  saveDataToFile(JSON.stringify(data, null, 2), "application/json", filename);
+}
+
+/**
+ * Ask for a board file and import it onto the current scene.
+ */
+export async function importBoard() {
+  if (!canvas.scene) return;
+  const content = await renderTemplate("modules/investigation-board/templates/import-board.html", { modes: IMPORT_MODES });
+  new Dialog({
+    title: game.i18n.localize("INVESTIGATION_BOARD.Controls.ImportBoard"),
+    content,
+    buttons: {
+      import: {
+        icon: '<i class="fas fa-file-import"></i>',
+        label: game.i18n.localize("INVESTIGATION_BOARD.Transfer.Import"),
+        callback: html => onImportSubmit(html[0].querySelector("form")),
+      },
+      cancel: {
+        icon: '<i class="fas fa-times"></i>',
+        label: game.i18n.localize("Cancel"),
+      },
+    },
+    default: "import",
+  }).render(true);
+}
+
+async function onImportSubmit(form) {
+  const file = form.file.files[0];
+  if (!file) {
+    ui.notifications.error(game.i18n.localize("INVESTIGATION_BOARD.Transfer.ChooseFile"));
+    return;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(await readTextFromFile(file));
+  } catch (err) {
+    ui.notifications.error(game.i18n.format("INVESTIGATION_BOARD.Transfer.NotJSON", { file: file.name }));
+    return;
+  }
+
+  try {
+    const notes = await importBoardData(data, {
+      mode: form.mode.value,
+      offset: { x: Number(form.offsetX.value) || 0, y: Number(form.offsetY.value) || 0 },
+    });
+    ui.notifications.info(game.i18n.format("INVESTIGATION_BOARD.Transfer.Imported", { count: notes.length, file: file.name }));
+  } catch (err) {
+    if (!(err instanceof BoardImportError)) throw err;
+    ui.notifications.error(game.i18n.format("INVESTIGATION_BOARD.Transfer.Failed", { file: file.name, error: err.message }));
+  }
+}
@@ -0,0 +1,84 @@
+import { MODULE_ID } from "./constants.js";
+import { DEFAULT_CARD_TEMPLATES, getCardTemplates } from "./card-templates.js";
+import { ListConfig } from "./list-config.js";
+import { NOTE_TYPES } from "./themes.js";
+
+/**
+ * World settings menu for editing card templates.
+ * Fields are entered one label per line; each field is keyed by its label, so renaming a field starts it empty.
+ */
+export class CardTemplateConfig extends ListConfig {
+  constructor(...args) {
+    super(...args);
+    this.entries = Object.entries(getCardTemplates()).map(([id, template]) => ({
+      id,
+      label: template.label ?? id,
+      type: template.type ?? "sticky",
+      fields: (template.fields ?? []).map(field => field.label).join("\n"),
+    }));
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "investigation-board-card-templates",
+      classes: ["investigation-board-card-templates"],
+      template: "modules/investigation-board/templates/card-template-config.html",
+      title: "INVESTIGATION_BOARD.CardTemplates.Title",
+      width: 420,
+      listName: "templates",
+    });
+  }
+
+  getData(options) {
+    return {
+      templates: this.entries,
+      noteTypes: Object.fromEntries(NOTE_TYPES.map(type => [type, `INVESTIGATION_BOARD.NoteTypes.${type}`])),
+    };
+  }
+
+  _newEntry() {
+    return { id: "", label: game.i18n.localize("INVESTIGATION_BOARD.CardTemplates.NewTemplate"), type: "sticky", fields: "" };
+  }
+
+  async _updateObject(event, formData) {
+    const data = foundry.utils.expandObject(formData);
+    const stored = game.settings.get(MODULE_ID, "cardTemplates") ?? {};
+    const shown = getCardTemplates();
+    const templates = {};
+    for (const entry of Object.values(data.templates ?? {})) {
+      // Labels left as they were shown keep their key and, for the default templates, their translation key.
+      const previous = shown[entry.id];
+      const fields = [];
+      for (const label of (entry.fields ?? "").split("\n").map(l => l.trim()).filter(l => l)) {
+        const field = stored[entry.id]?.fields?.[previous?.fields.findIndex(f => f.label === label)];
+        const key = field?.key ?? (label.slugify({ strict: true }) || foundry.utils.randomID(8));
+        if (!fields.some(f => f.key === key)) fields.push({ key, label: field?.label ?? label });
+      }
+      let id = entry.id || entry.label.slugify({ strict: true }) || foundry.utils.randomID();
+      if (id in templates) id = `${id}-${foundry.utils.randomID(4)}`;
+      const label = (previous && (previous.label === entry.label)) ? stored[entry.id].label : entry.label;
+      templates[id] = { label, type: entry.type || "sticky", fields };
+    }
+    await game.settings.set(MODULE_ID, "cardTemplates", templates);
+  }
+}
+
+// The Card Templates menu and the world setting it edits.
+export function registerCardTemplateSettings() {
+  game.settings.registerMenu(MODULE_ID, "cardTemplateConfig", {
+    name: "INVESTIGATION_BOARD.Settings.CardTemplateConfig.Name",
+    label: "INVESTIGATION_BOARD.Settings.CardTemplateConfig.Label",
+    hint: "INVESTIGATION_BOARD.Settings.CardTemplateConfig.Hint",
+    icon: "fas fa-id-card",
+    type: CardTemplateConfig,
+    restricted: true,
+  });
+
+  game.settings.register(MODULE_ID, "cardTemplates", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: DEFAULT_CARD_TEMPLATES,
+    onChange: () => canvas.investigationBoard?.refreshNotes(["text"]),
+  });
+}
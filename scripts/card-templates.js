@@ -0,0 +1,103 @@
+import { MODULE_ID } from "./constants.js";
+import { createNote } from "./notes.js";
+import { NOTE_TYPES } from "./themes.js";
+
+/*
+ * Card templates are world presets for notes with named fields, stored in the cardTemplates setting:
+ * { [id]: { label: "Suspect", type: "photo", fields: [{ key: "alibi", label: "Alibi" }] } }
+ * A note made from a template stores `template` (the id) and `fields` ({ [key]: value }).
+ * The fields are drawn as labelled lines above the note text.
+ * Labels can be translation keys, as those of the default templates are, and are shown in the user's language.
+ */
+export const DEFAULT_CARD_TEMPLATES = {
+  suspect: {
+    label: "INVESTIGATION_BOARD.CardTemplates.Defaults.suspect",
+    type: "photo",
+    fields: [
+      { key: "name", label: "INVESTIGATION_BOARD.CardTemplates.DefaultFields.name" },
+      { key: "age", label: "INVESTIGATION_BOARD.CardTemplates.DefaultFields.age" },
+      { key: "alibi", label: "INVESTIGATION_BOARD.CardTemplates.DefaultFields.alibi" },
+      { key: "motive", label: "INVESTIGATION_BOARD.CardTemplates.DefaultFields.motive" },
+    ],
+  },
+  location: {
+    label: "INVESTIGATION_BOARD.CardTemplates.Defaults.location",
+    type: "index",
+    fields: [
+      { key: "place", label: "INVESTIGATION_BOARD.CardTemplates.DefaultFields.place" },
+      { key: "owner", label: "INVESTIGATION_BOARD.CardTemplates.DefaultFields.owner" },
+      { key: "access", label: "INVESTIGATION_BOARD.CardTemplates.DefaultFields.access" },
+    ],
+  },
+  evidence: {
+    label: "INVESTIGATION_BOARD.CardTemplates.Defaults.evidence",
+    type: "sticky",
+    fields: [
+      { key: "item", label: "INVESTIGATION_BOARD.CardTemplates.DefaultFields.item" },
+      { key: "found-at", label: "INVESTIGATION_BOARD.CardTemplates.DefaultFields.foundAt" },
+      { key: "date", label: "INVESTIGATION_BOARD.CardTemplates.DefaultFields.date" },
+    ],
+  },
+};
+
+// The templates as stored in the setting, with their labels translated.
+export function getCardTemplates() {
+  const templates = game.settings.get(MODULE_ID, "cardTemplates") ?? {};
+  return Object.fromEntries(Object.entries(templates).map(([id, template]) => [id, {
+    ...template,
+    label: template.label && game.i18n.localize(template.label),
+    fields: (template.fields ?? []).map(field => ({ ...field, label: game.i18n.localize(field.label) })),
+  }]));
+}
+
+export function getCardTemplate(id) {
+  if (!id) return null;
+  return getCardTemplates()[id] ?? null;
+}
+
+/**
+ * The text drawn on a note: the labelled fields of its template, if any, followed by the note text.
+ */
+export function getCardText(data) {
+  const template = getCardTemplate(data.template);
+  if (!template) return data.text ?? "";
+  const lines = template.fields.map(field => `**${field.label}:** ${data.fields?.[field.key] ?? ""}`);
+  if (data.text) lines.push(data.text);
+  return lines.join("\n");
+}
+
+/**
+ * Create a note from a card template, with the given field values.
+ */
+export async function createNoteFromTemplate(id, { fields = {}, ...options } = {}) {
+  const template = getCardTemplate(id);
+  if (!template) throw new Error(`Investigation Board: Unknown card template "${id}".`);
+  const type = NOTE_TYPES.includes(template.type) ? template.type : "sticky";
+  return createNote(type, { text: "", ...options, template: id, fields });
+}
+
+/**
+ * Ask which card template to create a note from.
+ */
+export async function promptCardTemplate() {
+  const templates = getCardTemplates();
+  if (foundry.utils.isEmpty(templates)) {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.CardTemplates.None"));
+    return;
+  }
+  const options = Object.entries(templates)
+    .map(([id, template]) => `<option value="${id}">${foundry.utils.escapeHTML(template.label)}</option>`)
+    .join("");
+  const id = await Dialog.prompt({
+    title: game.i18n.localize("INVESTIGATION_BOARD.Controls.CreateFromTemplate"),
+    content: `
+      <div class="form-group">
+        <label>${game.i18n.localize("INVESTIGATION_BOARD.CardTemplates.Template")}:</label>
+        <select name="template">${options}</select>
+      </div>`,
+    label: game.i18n.localize("INVESTIGATION_BOARD.CardTemplates.Create"),
+    callback: html => html.find("select[name='template']").val(),
+    rejectClose: false,
+  });
+  if (id) await createNoteFromTemplate(id);
+}
@@ -0,0 +1,152 @@
+import { MODULE_ID } from "./constants.js";
+import { NOTE_TYPE_ICONS, NOTE_TYPE_LABELS, showNote } from "./board-overview.js";
+import { getCardTemplate, getCardText } from "./card-templates.js";
+import { getClueStatus } from "./clue-status.js";
+import { PIN_COLORS, createNote } from "./notes.js";
+import { richTextToHTML } from "./rich-text.js";
+import { NOTE_TYPES } from "./themes.js";
+import { canViewNote, isFaceDown } from "./visibility.js";
+
+/*
+ * Chat integration: the /note command, "Pin to Board" on chat messages, and note cards shared to chat.
+ */
+
+const COMMAND_PATTERN = /^\/note(?:\s+|$)/i;
+
+/**
+ * Read a /note command: an optional note type and pin color, then the note text.
+ * Returns null if the message is not a /note command.
+ */
+export function parseNoteCommand(message) {
+  if (!COMMAND_PATTERN.test(message)) return null;
+  const words = message.replace(COMMAND_PATTERN, "").split(/\s+/);
+  let type = "sticky";
+  let pinColor;
+  if (NOTE_TYPES.includes(words[0]?.toLowerCase())) type = words.shift().toLowerCase();
+  const pin = words[0]?.toLowerCase();
+  if ((pin === "none") || PIN_COLORS.includes(`${pin}Pin.webp`)) {
+    words.shift();
+    pinColor = pin === "none" ? "none" : `${pin}Pin.webp`;
+  }
+  return { type, pinColor, text: words.join(" ").trim() };
+}
+
+/**
+ * Turn the HTML of a chat message into note text, keeping bold, italic and struck-through text,
+ * bullet points and document links.
+ */
+export function htmlToNoteText(html) {
+  const container = document.createElement("div");
+  container.innerHTML = html;
+  const convert = node => {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, " ");
+    if (node.nodeType !== Node.ELEMENT_NODE) return "";
+    const inner = () => [...node.childNodes].map(convert).join("");
+    switch (node.tagName) {
+      case "BR": return "\n";
+      case "STRONG": case "B": return `**${inner()}**`;
+      case "EM": case "I": return node.classList.length ? "" : `*${inner()}*`;
+      case "S": case "DEL": return `~~${inner()}~~`;
+      case "LI": return `\n- ${inner().trim()}`;
+      case "P": case "DIV": case "UL": case "OL": case "H1": case "H2": case "H3": case "H4": return `\n${inner()}\n`;
+      case "A":
+        if (node.dataset.uuid) return `@UUID[${node.dataset.uuid}]{${node.textContent.trim()}}`;
+        return inner();
+      case "IMG": case "SCRIPT": case "STYLE": case "BUTTON": return "";
+      default: return inner();
+    }
+  };
+  return convert(container)
+    .split("\n")
+    .map(line => line.trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Create a note from a chat message. A message that is only a picture becomes a photo note.
+ */
+export async function pinMessageToBoard(message) {
+  const text = htmlToNoteText(message.content);
+  const image = !text ? $(`<div>${message.content}</div>`).find("img").attr("src") : null;
+  const note = image
+    ? await createNote("photo", { image, text: "", activate: false })
+    : await createNote("sticky", { text, activate: false });
+  if (note) ui.notifications.info(game.i18n.localize("INVESTIGATION_BOARD.Chat.MessagePinned"));
+  return note;
+}
+
+// Who gets to read a shared note card: everyone for public notes, otherwise those who can see the note face up.
+function getShareRecipients(note) {
+  if ((note.visibility ?? "public") === "public") return null;
+  return game.users.filter(user => canViewNote(note, user) && !isFaceDown(note, user)).map(user => user.id);
+}
+
+/**
+ * Post a card of a note to chat, with a button that pans to the note on the canvas.
+ * Notes not everyone can see are whispered to those who can.
+ */
+export async function shareNoteToChat(note, scene = canvas.scene) {
+  const template = getCardTemplate(note.template);
+  const status = getClueStatus(note);
+  const content = await renderTemplate("modules/investigation-board/templates/chat-note.html", {
+    sceneId: scene.id,
+    id: note.id,
+    type: note.type,
+    icon: NOTE_TYPE_ICONS[note.type],
+    title: note.identityName || template?.label || game.i18n.localize(NOTE_TYPE_LABELS[note.type]),
+    image: note.type === "photo" ? note.image : null,
+    text: richTextToHTML(getCardText(note)),
+    tint: note.tint,
+    status: status && game.i18n.localize(status.label),
+  });
+  const whisper = getShareRecipients(note);
+  return ChatMessage.create({
+    content,
+    speaker: ChatMessage.getSpeaker(),
+    whisper: whisper ?? [],
+    flags: { [MODULE_ID]: { sceneId: scene.id, noteId: note.id } },
+  });
+}
+
+Hooks.on("chatMessage", (chatLog, message) => {
+  const command = parseNoteCommand(message);
+  if (!command) return true;
+  if (!canvas.scene) {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Chat.NoScene"));
+    return false;
+  }
+  if (!command.text) {
+    ui.notifications.info(game.i18n.localize("INVESTIGATION_BOARD.Chat.Usage"));
+    return false;
+  }
+  createNote(command.type, { text: command.text, pinColor: command.pinColor, activate: false }).then(note => {
+    if (note) ui.notifications.info(game.i18n.localize("INVESTIGATION_BOARD.Chat.NotePinned"));
+  });
+  return false;
+});
+
+Hooks.on("getChatLogEntryContext", (html, options) => {
+  options.push({
+    name: "INVESTIGATION_BOARD.Chat.PinToBoard",
+    icon: '<i class="fas fa-thumbtack"></i>',
+    condition: li => {
+      const message = game.messages.get(li.data("messageId"));
+      return !!canvas.scene && !!message?.visible && !!message.content;
+    },
+    callback: li => pinMessageToBoard(game.messages.get(li.data("messageId"))),
+  });
+});
+
+Hooks.on("renderChatMessage", (message, html) => {
+  html.find(".investigation-note-card [data-action='show-on-board']").click(ev => {
+    ev.preventDefault();
+    const { sceneId, noteId } = ev.currentTarget.closest(".investigation-note-card").dataset;
+    if (!game.scenes.get(sceneId)) {
+      ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Chat.SceneMissing"));
+      return;
+    }
+    showNote(sceneId, noteId);
+  });
+});
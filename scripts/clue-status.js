@@ -0,0 +1,62 @@
+import { MODULE_ID } from "./constants.js";
+import { updateNotes } from "./notes.js";
+
+/*
+ * What the group believes about a clue. Stored on the note as `status`; notes without one have no stamp.
+ *   label   - name of the status, as a translation key
+ *   stamp   - text stamped across the note, as a translation key
+ *   cross   - a large X over the note
+ *   greyed  - the note is drawn without color
+ */
+export const CLUE_STATUSES = {
+  unverified: { label: "INVESTIGATION_BOARD.ClueStatuses.unverified.Label", icon: "fas fa-question", color: "#616161", stamp: "INVESTIGATION_BOARD.ClueStatuses.unverified.Stamp" },
+  confirmed: { label: "INVESTIGATION_BOARD.ClueStatuses.confirmed.Label", icon: "fas fa-check", color: "#2e7d32", stamp: "INVESTIGATION_BOARD.ClueStatuses.confirmed.Stamp" },
+  redHerring: { label: "INVESTIGATION_BOARD.ClueStatuses.redHerring.Label", icon: "fas fa-fish", color: "#c62828", stamp: "INVESTIGATION_BOARD.ClueStatuses.redHerring.Stamp", cross: true },
+  deadEnd: { label: "INVESTIGATION_BOARD.ClueStatuses.deadEnd.Label", icon: "fas fa-ban", color: "#424242", stamp: "INVESTIGATION_BOARD.ClueStatuses.deadEnd.Stamp", greyed: true },
+};
+
+// Key used for notes without a status when choosing which statuses to hide.
+const NO_STATUS = "none";
+
+export function getClueStatus(data) {
+  return CLUE_STATUSES[data.status] ?? null;
+}
+
+/**
+ * Set the status of notes. An empty status removes the stamp.
+ */
+export async function setClueStatus(scene, ids, status) {
+  if (status && !(status in CLUE_STATUSES)) throw new Error(`Investigation Board: Unknown clue status "${status}".`);
+  await updateNotes(scene, ids.map(id => ({ id, status: status || null })));
+}
+
+// Each user chooses which statuses they want to hide on the board.
+export function isStatusHidden(data) {
+  const hidden = game.settings.get(MODULE_ID, "hiddenStatuses") ?? [];
+  return hidden.includes(data.status || NO_STATUS);
+}
+
+/**
+ * Ask which clue statuses to show on the board.
+ */
+export async function configureStatusFilter() {
+  const hidden = game.settings.get(MODULE_ID, "hiddenStatuses") ?? [];
+  const choices = {
+    [NO_STATUS]: game.i18n.localize("INVESTIGATION_BOARD.StatusFilter.NoStatus"),
+    ...Object.fromEntries(Object.entries(CLUE_STATUSES).map(([id, s]) => [id, game.i18n.localize(s.label)])),
+  };
+  const rows = Object.entries(choices).map(([id, label]) => `
+    <label class="checkbox">
+      <input type="checkbox" name="${id}" ${hidden.includes(id) ? "" : "checked"} /> ${label}
+    </label>`).join("");
+
+  const shown = await Dialog.prompt({
+    title: game.i18n.localize("INVESTIGATION_BOARD.Controls.StatusFilter"),
+    content: `<div class="form-group stacked"><label>${game.i18n.localize("INVESTIGATION_BOARD.StatusFilter.Show")}:</label>${rows}</div>`,
+    label: game.i18n.localize("INVESTIGATION_BOARD.StatusFilter.Apply"),
+    callback: html => html.find("input:checked").map((i, input) => input.name).get(),
+    rejectClose: false,
+  });
+  if (!shown) return;
+  await game.settings.set(MODULE_ID, "hiddenStatuses", Object.keys(choices).filter(id => !shown.includes(id)));
+}
@@ -0,0 +1,122 @@
+import { MODULE_ID } from "./constants.js";
+import { requestSceneUpdate } from "./socket.js";
+
+const DEFAULT_STRING_COLOR = "#b71c1c";
+
+// Connections are stored on the scene as { [id]: { id, from, to, color } }.
+export function getConnections(scene = canvas.scene) {
+  return Object.values(scene?.flags[MODULE_ID]?.connections ?? {});
+}
+
+function findConnection(fromId, toId, scene = canvas.scene) {
+  return getConnections(scene).find(c =>
+    (c.from === fromId && c.to === toId) || (c.from === toId && c.to === fromId)
+  );
+}
+
+// Find where the string is tied on a note. Notes move live while dragged, so this follows them.
+function getPinPosition(noteId) {
+  const note = canvas.investigationBoard.notes.get(noteId);
+  if (!note) return null;
+  return { x: note.x + note.pinAnchor.x, y: note.y + note.pinAnchor.y };
+}
+
+// Draw a single length of yarn that sags under its own weight.
+function drawYarn(graphics, from, to, color) {
+  const distance = Math.hypot(to.x - from.x, to.y - from.y);
+  const sag = Math.min(distance * 0.15, 120);
+  const controlX = (from.x + to.x) / 2;
+  const controlY = (from.y + to.y) / 2 + sag * 2;
+
+  graphics.lineStyle(4, 0x000000, 0.25);
+  graphics.moveTo(from.x, from.y + 3);
+  graphics.quadraticCurveTo(controlX, controlY + 3, to.x, to.y + 3);
+
+  graphics.lineStyle(3, color, 1);
+  graphics.moveTo(from.x, from.y);
+  graphics.quadraticCurveTo(controlX, controlY, to.x, to.y);
+}
+
+export function drawConnections() {
+  const graphics = canvas.investigationBoard?.strings;
+  if (!graphics || graphics.destroyed) return;
+  graphics.clear();
+  for (const connection of getConnections()) {
+    const from = getPinPosition(connection.from);
+    const to = getPinPosition(connection.to);
+    if (!from || !to) continue;
+    drawYarn(graphics, from, to, connection.color || DEFAULT_STRING_COLOR);
+  }
+}
+
+/**
+ * Tie a string between two notes. If they are already connected, the string is recolored.
+ */
+export async function connectNotes(fromId, toId, color = DEFAULT_STRING_COLOR) {
+  if (fromId === toId) return;
+  const existing = findConnection(fromId, toId);
+  const id = existing?.id ?? foundry.utils.randomID();
+  await requestSceneUpdate(canvas.scene, {
+    [`flags.${MODULE_ID}.connections.${id}`]: { id, from: fromId, to: toId, color }
+  });
+}
+
+// Write several strings to a scene at once. Each gets an id if it has none.
+export async function createConnections(scene, connections) {
+  const changes = {};
+  for (const { from, to, color, id = foundry.utils.randomID() } of connections) {
+    changes[`flags.${MODULE_ID}.connections.${id}`] = { id, from, to, color: color || DEFAULT_STRING_COLOR };
+  }
+  if (foundry.utils.isEmpty(changes)) return;
+  await requestSceneUpdate(scene, changes);
+}
+
+export async function disconnectNotes(fromId, toId) {
+  const existing = findConnection(fromId, toId);
+  if (!existing) return;
+  await requestSceneUpdate(canvas.scene, {
+    [`flags.${MODULE_ID}.connections.-=${existing.id}`]: null
+  });
+}
+
+function getControlledNotes() {
+  return [...canvas.investigationBoard.controlled];
+}
+
+export async function connectSelectedNotes() {
+  const notes = getControlledNotes();
+  if (notes.length !== 2) {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Connect.SelectTwo"));
+    return;
+  }
+
+  const lastColor = game.settings.get(MODULE_ID, "connectionColor") || DEFAULT_STRING_COLOR;
+  const color = await Dialog.prompt({
+    title: game.i18n.localize("INVESTIGATION_BOARD.Connect.Title"),
+    content: `
+      <div class="form-group">
+        <label>${game.i18n.localize("INVESTIGATION_BOARD.Connect.StringColor")}:</label>
+        <input type="color" name="color" value="${lastColor}" />
+      </div>`,
+    label: game.i18n.localize("INVESTIGATION_BOARD.Connect.Connect"),
+    callback: html => html.find("input[name='color']").val(),
+    rejectClose: false,
+  });
+  if (!color) return;
+
+  await game.settings.set(MODULE_ID, "connectionColor", color);
+  await connectNotes(notes[0].id, notes[1].id, color);
+}
+
+export async function disconnectSelectedNotes() {
+  const notes = getControlledNotes();
+  if (notes.length < 2) {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Connect.SelectConnected"));
+    return;
+  }
+  for (let i = 0; i < notes.length; i++) {
+    for (let j = i + 1; j < notes.length; j++) {
+      await disconnectNotes(notes[i].id, notes[j].id);
+    }
+  }
+}
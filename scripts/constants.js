@@ -0,0 +1,2 @@
+// Shared constants. This module imports nothing, so every other module can import it without creating a cycle.
+export const MODULE_ID = "investigation-board";
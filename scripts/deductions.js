@@ -0,0 +1,293 @@
+import { MODULE_ID } from "./constants.js";
+import { getNoteTitle } from "./board-overview.js";
+import { getConnections } from "./connections.js";
+import { ListConfig } from "./list-config.js";
+import { getNoteSize, getNotes, revealNotes } from "./notes.js";
+import { requestDeductionCheck, requestSceneUpdate } from "./socket.js";
+
+/*
+ * Deduction puzzles. A GM sets out the solution as groups of notes that belong together, e.g. culprit + weapon + place.
+ * Players submit their board, and the GM's client checks whether each group has been worked out:
+ * tied together by strings, or placed close together.
+ * Scene flags are sent to every player, so only what players may know is kept on the scene:
+ *   flags.investigation-board.deductions = { [id]: { id, label, solved } }
+ * The solutions are kept in a journal entry that only GMs can see, keyed by scene id:
+ *   flags.investigation-board.solutions = { [sceneId]: { [id]: { method, distance, groups: [[noteId, ...]], rewardNoteId, shareResult } } }
+ */
+
+export const DEDUCTION_METHODS = {
+  strings: "INVESTIGATION_BOARD.Deductions.Methods.strings",
+  proximity: "INVESTIGATION_BOARD.Deductions.Methods.proximity",
+};
+
+const DEFAULT_DISTANCE = 400;
+
+// The GM-only journal entry holding the solutions. Players do not have it.
+function getSolutionStore() {
+  return game.journal.find(entry => entry.getFlag(MODULE_ID, "deductionSolutions"));
+}
+
+async function getOrCreateSolutionStore() {
+  return getSolutionStore() ?? JournalEntry.create({
+    name: game.i18n.localize("INVESTIGATION_BOARD.Deductions.StoreName"),
+    ownership: { default: CONST.DOCUMENT_OWNERSHIP_LEVELS.NONE },
+    flags: { [MODULE_ID]: { deductionSolutions: true } },
+  });
+}
+
+/**
+ * The deduction puzzles of a scene. For GMs each puzzle includes its solution; players only get the label
+ * and whether it has been solved.
+ */
+export function getDeductions(scene = canvas.scene) {
+  const listed = scene?.flags[MODULE_ID]?.deductions ?? {};
+  const solutions = getSolutionStore()?.flags[MODULE_ID]?.solutions?.[scene?.id] ?? {};
+  return Object.fromEntries(Object.entries(listed).map(([id, puzzle]) => [id, { ...solutions[id], ...puzzle }]));
+}
+
+// Which notes are tied to each other, directly or through other notes: returns a function giving the same key
+// for every note of a group.
+function getStringGroups(scene) {
+  const parent = new Map();
+  const find = id => {
+    while (parent.has(id)) id = parent.get(id);
+    return id;
+  };
+  for (const { from, to } of getConnections(scene)) {
+    const a = find(from);
+    const b = find(to);
+    if (a !== b) parent.set(b, a);
+  }
+  return find;
+}
+
+function getCenter(note) {
+  const { width, height } = getNoteSize(note.type, { size: note.size });
+  return { x: note.x + width / 2, y: note.y + height / 2 };
+}
+
+/**
+ * Check the board against a puzzle. Each group of the solution is correct when all of its notes are still on the board
+ * and tied together by strings, or when their centers are all within the puzzle distance of each other.
+ * @returns {{groups: {notes: object[], correct: boolean}[], correct: number, total: number, solved: boolean}}
+ */
+export function evaluateDeduction(puzzle, scene = canvas.scene) {
+  const notes = new Map(getNotes(scene).map(note => [note.id, note]));
+  const groupOf = getStringGroups(scene);
+  const distance = puzzle.distance || DEFAULT_DISTANCE;
+  const groups = (puzzle.groups ?? []).map(ids => {
+    const members = ids.map(id => notes.get(id));
+    let correct = (members.length > 1) && members.every(note => note);
+    if (correct && (puzzle.method === "proximity")) {
+      const centers = members.map(getCenter);
+      correct = centers.every(a => centers.every(b => Math.hypot(a.x - b.x, a.y - b.y) <= distance));
+    } else if (correct) {
+      correct = new Set(ids.map(groupOf)).size === 1;
+    }
+    return { notes: members.map((note, i) => note ?? { id: ids[i], missing: true }), correct };
+  });
+  const correct = groups.filter(group => group.correct).length;
+  return { groups, correct, total: groups.length, solved: !!groups.length && (correct === groups.length) };
+}
+
+async function postResult(puzzle, result, user) {
+  const deleted = game.i18n.localize("INVESTIGATION_BOARD.Deductions.DeletedNote");
+  const groups = result.groups.map(group => {
+    const names = group.notes.map(note => foundry.utils.escapeHTML(note.missing ? deleted : getNoteTitle(note)));
+    const icon = group.correct ? "fas fa-check" : "fas fa-times";
+    return `<li class="${group.correct ? "correct" : "incorrect"}"><i class="${icon}"></i> ${names.join(" + ")}</li>`;
+  }).join("");
+  const progress = game.i18n.format("INVESTIGATION_BOARD.Deductions.Progress", { correct: result.correct, total: result.total });
+  const summary = result.solved ? game.i18n.localize("INVESTIGATION_BOARD.Deductions.Solved") : progress;
+  const submittedBy = game.i18n.format("INVESTIGATION_BOARD.Deductions.SubmittedBy", { name: foundry.utils.escapeHTML(user.name) });
+  const label = foundry.utils.escapeHTML(puzzle.label);
+  await ChatMessage.create({
+    content: `<div class="investigation-deduction-result"><h3>${label}</h3>
+      <p>${submittedBy} <strong>${summary}</strong></p><ul>${groups}</ul></div>`,
+    whisper: ChatMessage.getWhisperRecipients("GM").map(u => u.id),
+  });
+  // Players only learn how close they are, not which groups are right.
+  if (puzzle.shareResult) {
+    const shared = result.solved
+      ? game.i18n.localize("INVESTIGATION_BOARD.Deductions.Correct")
+      : game.i18n.format("INVESTIGATION_BOARD.Deductions.NotQuite", { progress });
+    await ChatMessage.create({
+      content: `<div class="investigation-deduction-result"><h3>${label}</h3><p><strong>${shared}</strong></p></div>`,
+    });
+  }
+}
+
+/**
+ * Check a player's board against a puzzle, report the result to the GMs, and reveal the reward note once it is solved.
+ * Runs on a GM client.
+ */
+export async function checkDeduction(scene, id, user = game.user) {
+  if (!game.user.isGM) return null;
+  const puzzle = getDeductions(scene)[id];
+  if (!puzzle?.groups) return null;
+  const result = evaluateDeduction(puzzle, scene);
+  await postResult(puzzle, result, user);
+  if (result.solved && !puzzle.solved) {
+    await requestSceneUpdate(scene, { [`flags.${MODULE_ID}.deductions.${id}.solved`]: true });
+    if (puzzle.rewardNoteId) await revealNotes(scene, [puzzle.rewardNoteId]);
+  }
+  Hooks.callAll("investigationBoard.deduction", puzzle, result, user, scene);
+  return result;
+}
+
+/**
+ * Submit the board for checking. Players' submissions are checked by the active GM.
+ */
+export async function submitDeduction(scene, id) {
+  if (game.user.isGM) return checkDeduction(scene, id);
+  if (!game.users.activeGM) {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Deductions.NoGM"));
+    return null;
+  }
+  requestDeductionCheck(scene, id);
+  ui.notifications.info(game.i18n.localize("INVESTIGATION_BOARD.Deductions.HandedIn"));
+  return null;
+}
+
+/**
+ * Ask which unsolved puzzle of the current scene to submit the board for, then submit it.
+ */
+export async function promptSubmitDeduction() {
+  const puzzles = Object.values(getDeductions()).filter(p => !p.solved);
+  if (!puzzles.length) {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Deductions.NoneOpen"));
+    return;
+  }
+  let id = puzzles[0].id;
+  if (puzzles.length > 1) {
+    const options = puzzles.map(p => `<option value="${p.id}">${foundry.utils.escapeHTML(p.label)}</option>`).join("");
+    id = await Dialog.prompt({
+      title: game.i18n.localize("INVESTIGATION_BOARD.Controls.SubmitDeduction"),
+      content: `
+        <div class="form-group">
+          <label>${game.i18n.localize("INVESTIGATION_BOARD.Deductions.DefaultLabel")}:</label>
+          <select name="deduction">${options}</select>
+        </div>`,
+      label: game.i18n.localize("INVESTIGATION_BOARD.Deductions.Submit"),
+      callback: html => html.find("select[name='deduction']").val(),
+      rejectClose: false,
+    });
+  }
+  if (id) await submitDeduction(canvas.scene, id);
+}
+
+/**
+ * Replace the puzzles of a scene: the public part on the scene, the solutions in the GM-only journal entry.
+ */
+async function saveDeductions(scene, listed, solutions) {
+  const store = await getOrCreateSolutionStore();
+  await store.update({ [`flags.${MODULE_ID}.solutions.-=${scene.id}`]: null });
+  await store.update({ [`flags.${MODULE_ID}.solutions.${scene.id}`]: solutions });
+  await requestSceneUpdate(scene, { [`flags.${MODULE_ID}.-=deductions`]: null });
+  if (!foundry.utils.isEmpty(listed)) await requestSceneUpdate(scene, { [`flags.${MODULE_ID}.deductions`]: listed });
+}
+
+/**
+ * GM editor for the deduction puzzles of the current scene.
+ * Groups are added from the notes selected on the board.
+ */
+export class DeductionConfig extends ListConfig {
+  constructor(...args) {
+    super(...args);
+    this.entries = Object.values(getDeductions()).map(puzzle => foundry.utils.deepClone(puzzle));
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "investigation-board-deductions",
+      classes: ["investigation-board-deductions"],
+      template: "modules/investigation-board/templates/deduction-config.html",
+      title: "INVESTIGATION_BOARD.Controls.DeductionPuzzles",
+      width: 440,
+      listName: "puzzles",
+    });
+  }
+
+  getData(options) {
+    const notes = new Map(getNotes().map(note => [note.id, note]));
+    const deleted = game.i18n.localize("INVESTIGATION_BOARD.Deductions.DeletedNote");
+    const title = id => (notes.has(id) ? getNoteTitle(notes.get(id)) : deleted);
+    return {
+      puzzles: this.entries.map(puzzle => ({
+        ...puzzle,
+        distance: puzzle.distance || DEFAULT_DISTANCE,
+        groups: puzzle.groups.map(ids => ({ ids: ids.join(","), names: ids.map(title).join(" + ") })),
+      })),
+      methods: DEDUCTION_METHODS,
+      rewardNotes: Object.fromEntries([...notes.values()].map(note => [note.id, getNoteTitle(note)])),
+    };
+  }
+
+  _newEntry() {
+    return {
+      id: foundry.utils.randomID(),
+      label: game.i18n.localize("INVESTIGATION_BOARD.Deductions.NewDeduction"),
+      method: "strings",
+      distance: DEFAULT_DISTANCE,
+      groups: [],
+      rewardNoteId: "",
+      shareResult: false,
+      solved: false,
+    };
+  }
+
+  // Each group is a hidden input holding its note ids, separated by commas.
+  _readEntry(puzzle) {
+    return {
+      ...puzzle,
+      groups: Object.values(puzzle.groups ?? {}).map(ids => ids.split(",").filter(id => id)),
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find(".add-group").click(ev => {
+      ev.preventDefault();
+      const ids = [...canvas.investigationBoard.controlled].map(note => note.id);
+      if (ids.length < 2) {
+        ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Deductions.SelectGroup"));
+        return;
+      }
+      this._editEntries(puzzles => puzzles[Number(ev.currentTarget.dataset.index)].groups.push(ids));
+    });
+    html.find(".delete-group").click(ev => {
+      ev.preventDefault();
+      const { index, group } = ev.currentTarget.dataset;
+      this._editEntries(puzzles => puzzles[Number(index)].groups.splice(Number(group), 1));
+    });
+  }
+
+  async _updateObject(event, formData) {
+    this._syncEntries();
+    const scene = canvas.scene;
+    const listed = {};
+    const solutions = {};
+    for (const puzzle of this.entries) {
+      listed[puzzle.id] = {
+        id: puzzle.id,
+        label: puzzle.label || game.i18n.localize("INVESTIGATION_BOARD.Deductions.DefaultLabel"),
+        solved: !!puzzle.solved,
+      };
+      solutions[puzzle.id] = {
+        method: puzzle.method in DEDUCTION_METHODS ? puzzle.method : "strings",
+        distance: puzzle.distance || DEFAULT_DISTANCE,
+        groups: puzzle.groups.filter(ids => ids.length > 1),
+        rewardNoteId: puzzle.rewardNoteId || null,
+        shareResult: !!puzzle.shareResult,
+      };
+    }
+    await saveDeductions(scene, listed, solutions);
+  }
+}
+
+// Forget the solutions of deleted scenes.
+Hooks.on("deleteScene", scene => {
+  const store = getSolutionStore();
+  if (!game.users.activeGM?.isSelf || !store?.flags[MODULE_ID]?.solutions?.[scene.id]) return;
+  store.update({ [`flags.${MODULE_ID}.solutions.-=${scene.id}`]: null });
+});
@@ -0,0 +1,42 @@
+import { MODULE_ID } from "./constants.js";
+
+// Document types that can be turned into photo notes, mapped to their sidebar directory.
+export const NOTE_SOURCE_DIRECTORIES = {
+  Actor: "ActorDirectory",
+  Scene: "SceneDirectory",
+  JournalEntry: "JournalDirectory",
+  Item: "ItemDirectory",
+};
+
+function getActorName(actor) {
+  const key = game.settings.get(MODULE_ID, "characterNameKey")?.trim();
+  const name = key ? foundry.utils.getProperty(actor, key) : null;
+  return (typeof name === "string" && name.trim()) ? name : actor.name;
+}
+
+// Journal entries have no image of their own, so use the first image page if there is one.
+function getJournalImage(entry) {
+  const page = entry.pages.contents
+    .sort((a, b) => a.sort - b.sort)
+    .find(p => p.type === "image" && p.src);
+  return page?.src;
+}
+
+/**
+ * Work out the photo and caption for a photo note created from a document.
+ * Returns null for documents that cannot be turned into a note.
+ */
+export function getPhotoNoteData(document) {
+  switch (document?.documentName) {
+    case "Actor":
+      return { text: getActorName(document), image: document.img };
+    case "Scene":
+      return { text: document.navName || document.name, image: document.thumb || document.background?.src };
+    case "JournalEntry":
+      return { text: document.name, image: getJournalImage(document) };
+    case "Item":
+      return { text: document.name, image: document.img };
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,203 @@
+import { MODULE_ID } from "./constants.js";
+
+/*
+ * Scene flags are sent to every player, so what a hidden note says is not kept on the scene. For a note that is
+ * not public, the scene only holds a placeholder with what is needed to put it on the board: its position, type,
+ * appearance and who can see it. Its contents are kept in journal entries that only the right users receive:
+ *   the GM store, which only GMs can see, for every note that is not public;
+ *   a player's store, which only that player can see, for the notes shown to them by name.
+ * Each store holds flags.investigation-board.scenes = { [sceneId]: { notes, revisions, trash } }, laid out like
+ * the scene flags: the contents of each hidden note, its edit history, and the trash entries of deleted hidden notes
+ * (GM store only), since those hold earlier contents.
+ * Every write goes through the GM (see socket.js), whose client splits it between the scene and the stores.
+ */
+
+// The fields of a note that say what is on it, rather than where it is and how it looks.
+export const CONTENT_FIELDS = ["text", "image", "identityName", "fields", "template", "linkedUuid", "date", "flags"];
+
+// The collections of the scene flags that hold note contents, each keyed by note id.
+const COLLECTIONS = ["notes", "revisions", "trash"];
+
+function isHidden(note) {
+  return !!note && ((note.visibility ?? "public") !== "public");
+}
+
+// The store a user reads from: the GM store for GMs, their own store for players.
+function getStore(user = game.user) {
+  const owner = user.isGM ? "gm" : user.id;
+  return game.journal.find(entry => entry.getFlag(MODULE_ID, "hiddenNotes") === owner);
+}
+
+async function getOrCreateStore(user) {
+  const { NONE, OBSERVER } = CONST.DOCUMENT_OWNERSHIP_LEVELS;
+  return getStore(user) ?? JournalEntry.create({
+    name: user.isGM
+      ? game.i18n.localize("INVESTIGATION_BOARD.HiddenNotes.StoreName")
+      : game.i18n.format("INVESTIGATION_BOARD.HiddenNotes.PlayerStoreName", { user: user.name }),
+    ownership: user.isGM ? { default: NONE } : { default: NONE, [user.id]: OBSERVER },
+    flags: { [MODULE_ID]: { hiddenNotes: user.isGM ? "gm" : user.id } },
+  });
+}
+
+/**
+ * What the current user may read of the hidden notes of a scene: { notes, revisions, trash }, each keyed by note id.
+ */
+export function getHiddenData(scene) {
+  return getStore()?.flags[MODULE_ID]?.scenes?.[scene?.id] ?? {};
+}
+
+// A note from the scene, with its contents filled in if it is hidden and the current user may read them.
+export function addHiddenContents(scene, note) {
+  const contents = getHiddenData(scene).notes?.[note.id];
+  return contents ? { ...note, ...contents } : note;
+}
+
+// The scenes whose hidden notes a journal entry update changed, if the entry is a store.
+export function getUpdatedScenes(entry, changes) {
+  if (!entry.getFlag(MODULE_ID, "hiddenNotes")) return [];
+  const scenes = changes.flags?.[MODULE_ID]?.scenes ?? {};
+  return Object.keys(scenes).map(key => key.replace(/^-=/, ""));
+}
+
+// The notes, revisions and trash of a scene as a GM knows them, with the contents from the GM store filled in.
+function getFullBoard(scene) {
+  const flags = scene.flags[MODULE_ID] ?? {};
+  const hidden = getHiddenData(scene);
+  const notes = foundry.utils.deepClone(flags.notes ?? {});
+  for (const [id, contents] of Object.entries(hidden.notes ?? {})) {
+    if (notes[id]) Object.assign(notes[id], foundry.utils.deepClone(contents));
+  }
+  return {
+    notes,
+    revisions: { ...foundry.utils.deepClone(hidden.revisions ?? {}), ...foundry.utils.deepClone(flags.revisions ?? {}) },
+    trash: { ...foundry.utils.deepClone(hidden.trash ?? {}), ...foundry.utils.deepClone(flags.trash ?? {}) },
+  };
+}
+
+// Where an entry of a board belongs: on the scene, in the GM store, and in the store of each player.
+function placeEntry(collection, id, board) {
+  const entry = board[collection][id];
+  if (entry === undefined) return { scene: undefined, gm: undefined, players: {} };
+  const note = (collection === "trash") ? entry.note : board.notes[id];
+  if (!isHidden(note)) return { scene: entry, gm: undefined, players: {} };
+  // Deleted notes are only listed to GMs.
+  const shown = ((collection !== "trash") && (note.visibility === "players")) ? (note.players ?? []) : [];
+  if (collection !== "notes") {
+    return { scene: undefined, gm: entry, players: Object.fromEntries(shown.map(userId => [userId, entry])) };
+  }
+  const placeholder = {};
+  const contents = {};
+  for (const [field, value] of Object.entries(entry)) {
+    if (CONTENT_FIELDS.includes(field)) contents[field] = value;
+    else placeholder[field] = value;
+  }
+  return { scene: placeholder, gm: contents, players: Object.fromEntries(shown.map(userId => [userId, contents])) };
+}
+
+/**
+ * The update that turns an entry into another. Updates merge into what is stored, so fields that were removed
+ * or changed their shape are deleted first; the keys are applied in order.
+ */
+function replaceEntry(current, desired) {
+  if (Array.isArray(desired) || (foundry.utils.getType(current) !== "Object")) return desired;
+  const update = {};
+  for (const [field, value] of Object.entries(current)) {
+    if (!(field in desired) || ((typeof value === "object") && !foundry.utils.objectsEqual(value, desired[field]))) {
+      update[`-=${field}`] = null;
+    }
+  }
+  return Object.assign(update, desired);
+}
+
+// Add the change of one entry to `sets` or `deletions`, keyed under the given prefix.
+function addEntryChange(sets, deletions, prefix, current, desired) {
+  if (desired === undefined) {
+    if (current !== undefined) deletions[prefix.replace(/\.([^.]+)$/, ".-=$1")] = null;
+    return;
+  }
+  if ((current !== undefined) && foundry.utils.objectsEqual({ v: current }, { v: desired })) return;
+  sets[prefix] = (current === undefined) ? desired : replaceEntry(current, desired);
+}
+
+async function applyChanges(scene, changes) {
+  const board = foundry.utils.expandObject(changes).flags?.[MODULE_ID];
+  if (!board) return scene.update(changes);
+
+  // The notes, revisions and trash entries touched by the changes.
+  const before = getFullBoard(scene);
+  const touched = new Set();
+  for (const collection of COLLECTIONS) {
+    if (`-=${collection}` in board) for (const id of Object.keys(before[collection])) touched.add(id);
+    for (const key of Object.keys(board[collection] ?? {})) touched.add(key.replace(/^-=/, ""));
+  }
+  const update = {};
+  for (const collection of COLLECTIONS) {
+    if (`-=${collection}` in board) update[`-=${collection}`] = null;
+    if (board[collection]) update[collection] = board[collection];
+  }
+  const after = foundry.utils.mergeObject(foundry.utils.deepClone(before), update, { performDeletions: true });
+  for (const collection of COLLECTIONS) after[collection] ??= {};
+
+  // Nothing hidden is involved: the changes go to the scene as they are.
+  const involved = [...touched].filter(id => isHidden(before.notes[id]) || isHidden(after.notes[id])
+    || isHidden(before.trash[id]?.note) || isHidden(after.trash[id]?.note));
+  if (!involved.length) return scene.update(changes);
+
+  // The entries of hidden notes are written whole, to the scene and to the stores, in place of the changes to them.
+  const sceneChanges = foundry.utils.flattenObject(changes);
+  for (const key of Object.keys(sceneChanges)) {
+    const [, , collection, entry] = key.split(".");
+    if (COLLECTIONS.includes(collection) && involved.includes(entry?.replace(/^-=/, ""))) delete sceneChanges[key];
+  }
+  const flags = scene.flags[MODULE_ID] ?? {};
+  const players = game.users.filter(user => !user.isGM);
+  const stores = [{ user: game.user, key: "gm" }, ...players.map(user => ({ user, key: user.id }))]
+    .map(store => ({ ...store, data: getStore(store.user)?.flags[MODULE_ID]?.scenes?.[scene.id] ?? {}, sets: {}, deletions: {} }));
+  for (const collection of COLLECTIONS) {
+    const cleared = `-=${collection}` in board;
+    for (const id of involved) {
+      const place = placeEntry(collection, id, after);
+      const current = cleared ? undefined : flags[collection]?.[id];
+      addEntryChange(sceneChanges, sceneChanges, `flags.${MODULE_ID}.${collection}.${id}`, current, place.scene);
+      for (const store of stores) {
+        const desired = (store.key === "gm") ? place.gm : place.players[store.key];
+        addEntryChange(store.sets, store.deletions, `flags.${MODULE_ID}.scenes.${scene.id}.${collection}.${id}`,
+          store.data[collection]?.[id], desired);
+      }
+    }
+  }
+
+  // New contents are stored before the scene changes and old ones removed after, so that a note never shows up empty.
+  for (const store of stores) {
+    if (foundry.utils.isEmpty(store.sets)) continue;
+    const entry = await getOrCreateStore(store.user);
+    await entry.update(store.sets);
+  }
+  const result = foundry.utils.isEmpty(sceneChanges) ? scene : await scene.update(sceneChanges);
+  for (const store of stores) {
+    if (!foundry.utils.isEmpty(store.deletions)) await getStore(store.user)?.update(store.deletions);
+  }
+  return result;
+}
+
+let pending = Promise.resolve();
+
+/**
+ * Apply changes to the module's flags on a scene, keeping the contents of hidden notes in the stores.
+ * Only GMs can write the stores. Changes are applied one after another, since each one reads what the last one wrote.
+ */
+export function applyBoardChanges(scene, changes) {
+  const result = pending.then(() => applyChanges(scene, changes));
+  pending = result.catch(() => {});
+  return result;
+}
+
+// Forget the hidden notes of deleted scenes.
+Hooks.on("deleteScene", scene => {
+  if (!game.users.activeGM?.isSelf) return;
+  for (const entry of game.journal) {
+    if (entry.getFlag(MODULE_ID, "hiddenNotes") && entry.flags[MODULE_ID].scenes?.[scene.id]) {
+      entry.update({ [`flags.${MODULE_ID}.scenes.-=${scene.id}`]: null });
+    }
+  }
+});
@@ -1,471 +1,195 @@
 //investigation-boards.js
 
+import { MODULE_ID } from "./constants.js";
 import { registerSettings } from "./settings.js";
-
-const MODULE_ID = "investigation-board";
-const BASE_FONT_SIZE = 15;
-const PIN_COLORS = ["redPin.webp", "bluePin.webp", "yellowPin.webp", "greenPin.webp"];
-
-function getBaseCharacterLimits() {
-  return game.settings.get(MODULE_ID, "baseCharacterLimits") || {
-    sticky: 60,
-    photo: 15,
-    index: 200,
-  };
-}
-
-function getDynamicCharacterLimits(noteType, currentFontSize) {
-  const baseLimits = getBaseCharacterLimits();
-  const scaleFactor = BASE_FONT_SIZE / currentFontSize;
-  const limits = baseLimits[noteType] || { sticky: 60, photo: 15, index: 200 };
-  return {
-    sticky: Math.round(limits.sticky * scaleFactor),
-    photo: Math.round(limits.photo * scaleFactor),
-    index: Math.round(limits.index * scaleFactor),
-  };
-}
-
-
-class CustomDrawingSheet extends DrawingConfig {
-  static get defaultOptions() {
-    return mergeObject(super.defaultOptions, {
-      classes: ["custom-drawing-sheet"],
-      template: "modules/investigation-board/templates/drawing-sheet.html",
-      width: 400,
-      height: "auto",
-      title: "Note Configuration",
-    });
-  }
-
-  getData(options) {
-    const data = super.getData(options);
-    data.noteType = this.object.flags[MODULE_ID]?.type || "sticky";
-    data.text = this.object.flags[MODULE_ID]?.text || "Default Text";
-    data.image = this.object.flags[MODULE_ID]?.image || "modules/investigation-board/assets/placeholder.webp";
-    
-    // Pass along the extra identityName for futuristic photo notes
-    data.identityName = this.object.flags[MODULE_ID]?.identityName || "";
-    
-    // Include the board mode from settings for conditional display in the template
-    data.boardMode = game.settings.get(MODULE_ID, "boardMode");
-    
-    data.noteTypes = {
-      sticky: "Sticky Note",
-      photo: "Photo Note",
-      index: "Index Card",
-    };
-    return data;
-  }
-  
-
-  async _updateObject(event, formData) {
-    const updates = {
-      [`flags.${MODULE_ID}.type`]: formData.noteType,
-      [`flags.${MODULE_ID}.text`]: formData.text,
-      [`flags.${MODULE_ID}.image`]: formData.image || "modules/investigation-board/assets/placeholder.webp",
-    };
-    if (formData.identityName !== undefined) {
-      updates[`flags.${MODULE_ID}.identityName`] = formData.identityName;
-    }
-    
-
-    await this.object.update(updates);
-    const drawing = canvas.drawings.get(this.object.id);
-    if (drawing) drawing.refresh();
-  }
-
-  // Add activateListeners to hook up the file-picker button.
-  activateListeners(html) {
-    super.activateListeners(html);
-    html.find(".file-picker-button").click(ev => {
-      ev.preventDefault();
-      // Open Foundry's FilePicker for images; adjust the "current" directory if needed.
-      new FilePicker({
-        type: "image",
-        current: "modules/investigation-board/assets/",
-        callback: path => {
-          // Update the readonly input with the chosen image path.
-          html.find("input[name='image']").val(path);
-        }
-      }).browse();
-    });
-  }
-
-
+import { promptArrangeNotes } from "./auto-layout.js";
+import { InvestigationBoardLayer } from "./board-layer.js";
+import { openBoardOverview } from "./board-overview.js";
+import { promptBoardSnapshot } from "./board-snapshot.js";
+import { exportBoard, importBoard } from "./board-transfer.js";
+import { registerCardTemplateSettings } from "./card-template-config.js";
+import { promptCardTemplate } from "./card-templates.js";
+import { configureStatusFilter } from "./clue-status.js";
+import { DeductionConfig, promptSubmitDeduction } from "./deductions.js";
+import { connectSelectedNotes, disconnectSelectedNotes } from "./connections.js";
+import { NOTE_SOURCE_DIRECTORIES, getPhotoNoteData } from "./document-notes.js";
+import { InvestigationNote } from "./investigation-note.js";
+import { LINKABLE_TYPES } from "./linked-documents.js";
+import { runMigrations } from "./migration.js";
+import { openNoteTrash } from "./note-history.js";
+import { InvestigationNoteSheet } from "./note-sheet.js";
+import { createNote } from "./notes.js";
+import { registerThemeSettings } from "./theme-config.js";
+import { hasIdentityName } from "./themes.js";
+import "./api.js";
+import "./chat.js";
+import "./socket.js";
+
+/**
+ * Create a photo note from an Actor, Scene, Journal Entry or Item.
+ * If the board theme gives photo notes a name field, the document name goes there instead of the note text.
+ */
+async function createPhotoNoteFromDocument(document, position = {}) {
+  const noteData = getPhotoNoteData(document);
+  if (!noteData) return;
+
+  const useIdentityName = hasIdentityName();
+  await createNote("photo", {
+    ...position,
+    image: noteData.image,
+    text: useIdentityName ? undefined : noteData.text,
+    identityName: useIdentityName ? noteData.text : undefined,
+    linkedUuid: LINKABLE_TYPES.includes(document.documentName) ? document.uuid : undefined,
+  });
 }
 
-class CustomDrawing extends Drawing {
-  constructor(...args) {
-    super(...args);
-    this.bgSprite = null;
-    this.pinSprite = null;
-    this.noteText = null;
-    this.photoImageSprite = null;
-    this.identityNameText = null;
-    this.futuristicText = null;
-  }
-
-  // Ensure sprites are created when the drawing is first rendered.
-  async draw() {
-    await super.draw();
-    await this._updateSprites();
-    return this;
-  }
-
-  // Ensure sprites update correctly on refresh.
-  async refresh() {
-    await super.refresh();
-    await this._updateSprites();
-    return this;
-  }
-
-  async _updateSprites() {
-    const noteData = this.document.flags[MODULE_ID];
-    if (!noteData) return;
-    
-    const isPhoto = noteData.type === "photo";
-    const isIndex = noteData.type === "index";
-    const mode = game.settings.get(MODULE_ID, "boardMode");
-    
-    // FUTURISTIC PHOTO NOTE LAYOUT
-    if (isPhoto && mode === "futuristic") {
-      const fullWidth = game.settings.get(MODULE_ID, "photoNoteWidth");
-      const margin = 10;
-      const photoImgWidth = fullWidth * 0.4;
-      const photoImgHeight = photoImgWidth * (4 / 3);
-      const textAreaX = margin + photoImgWidth + margin;
-      const fullHeight = photoImgHeight + margin * 2;
-    
-      // --- Background Frame ---
-      if (!this.bgSprite) {
-        this.bgSprite = new PIXI.Sprite();
-        this.addChildAt(this.bgSprite, 0);
-      }
-      try {
-        // Always use the fixed photo frame image.
-        this.bgSprite.texture = PIXI.Texture.from("modules/investigation-board/assets/photoFrame.webp");
-      } catch (err) {
-        console.error("Failed to load photo frame texture", err);
-        this.bgSprite.texture = PIXI.Texture.EMPTY;
-      }
-      this.bgSprite.width = fullWidth;
-      this.bgSprite.height = fullHeight;
-    
-      // --- Foreground (User-Assigned) Photo ---
-      if (!this.photoImageSprite) {
-        this.photoImageSprite = new PIXI.Sprite();
-        this.addChild(this.photoImageSprite);
-      }
-      try {
-        // Use a fallback if no image is assigned.
-        const imagePath = noteData.image || "modules/investigation-board/assets/placeholder.webp";
-        this.photoImageSprite.texture = PIXI.Texture.from(imagePath);
-      } catch (err) {
-        console.error(`Failed to load user photo: ${noteData.image}`, err);
-        this.photoImageSprite.texture = PIXI.Texture.EMPTY;
-      }
-      // Position the user photo inside the frame.
-      this.photoImageSprite.width = fullWidth * 0.9;
-      this.photoImageSprite.height = fullHeight * 0.9;
-      this.photoImageSprite.position.set(fullWidth * 0.05, fullHeight * 0.05);
-    
-      // --- Identity Name and Additional Text (Futuristic) ---
-      const font = game.settings.get(MODULE_ID, "font");
-      const baseFontSize = game.settings.get(MODULE_ID, "baseFontSize");
-      const fontSize = (fullWidth / 200) * baseFontSize;
-      const textStyle = new PIXI.TextStyle({
-        fontFamily: font,
-        fontSize: fontSize,
-        fill: "#000000",
-        wordWrap: true,
-        wordWrapWidth: fullWidth - textAreaX - margin,
-        align: "left",
-      });
-      if (!this.identityNameText) {
-        this.identityNameText = new PIXI.Text("", textStyle);
-        this.addChild(this.identityNameText);
-      }
-      this.identityNameText.text = noteData.identityName || "Name";
-      this.identityNameText.style = textStyle;
-      this.identityNameText.position.set(textAreaX, margin);
-    
-      if (!this.futuristicText) {
-        this.futuristicText = new PIXI.Text("", textStyle);
-        this.addChild(this.futuristicText);
-      }
-      this.futuristicText.text = noteData.text || "";
-      this.futuristicText.style = textStyle;
-      this.futuristicText.position.set(textAreaX, margin + this.identityNameText.height + 5);
-    
-      // Remove default note text if present.
-      if (this.noteText) {
-        this.removeChild(this.noteText);
-        this.noteText.destroy();
-        this.noteText = null;
-      }
-    
-      // --- Pin Handling (Futuristic) ---
-      const pinSetting = game.settings.get(MODULE_ID, "pinColor");
-      if (pinSetting === "none") {
-        if (this.pinSprite) {
-          this.removeChild(this.pinSprite);
-          this.pinSprite.destroy();
-          this.pinSprite = null;
-        }
-      } else {
-        if (!this.pinSprite) {
-          this.pinSprite = new PIXI.Sprite();
-          this.addChild(this.pinSprite);
-        }
-        let pinColor = noteData.pinColor;
-        if (!pinColor) {
-          pinColor = (pinSetting === "random")
-            ? PIN_COLORS[Math.floor(Math.random() * PIN_COLORS.length)]
-            : `${pinSetting}Pin.webp`;
-          if (this.document.isOwner) {
-            await this.document.update({ [`flags.${MODULE_ID}.pinColor`]: pinColor });
-          }
-        }
-        const pinImage = `modules/investigation-board/assets/${pinColor}`;
-        try {
-          this.pinSprite.texture = PIXI.Texture.from(pinImage);
-        } catch (err) {
-          console.error(`Failed to load pin texture: ${pinImage}`, err);
-          this.pinSprite.texture = PIXI.Texture.EMPTY;
-        }
-        this.pinSprite.width = 40;
-        this.pinSprite.height = 40;
-        this.pinSprite.position.set(fullWidth / 2 - 20, 3);
-      }
-      return; // End early for futuristic photo notes.
-    }
-    
-    // STANDARD LAYOUT (Modern photo notes, sticky, index, etc.)
-    const width = isPhoto
-      ? game.settings.get(MODULE_ID, "photoNoteWidth")
-      : isIndex
-        ? game.settings.get(MODULE_ID, "indexNoteWidth") || 600
-        : game.settings.get(MODULE_ID, "stickyNoteWidth");
-    
-    const height = isPhoto
-      ? Math.round(width / (225 / 290))
-      : isIndex
-        ? Math.round(width / (600 / 400))
-        : width;
-    
-    // Background Image based on board mode.
-    const getBackgroundImage = (noteType, mode) => {
-      if (mode === "futuristic") {
-        if (noteType === "photo") return "modules/investigation-board/assets/futuristic_photoFrame.webp";
-        if (noteType === "index") return "modules/investigation-board/assets/futuristic_note_index.webp";
-        return "modules/investigation-board/assets/futuristic_note_white.webp";
-      } else if (mode === "custom") {
-        if (noteType === "photo") return "modules/investigation-board/assets/custom_photoFrame.webp";
-        if (noteType === "index") return "modules/investigation-board/assets/custom_note_index.webp";
-        return "modules/investigation-board/assets/custom_note_white.webp";
-      }
-      // Default "modern" mode:
-      if (noteType === "photo") return "modules/investigation-board/assets/photoFrame.webp";
-      if (noteType === "index") return "modules/investigation-board/assets/note_index.webp";
-      return "modules/investigation-board/assets/note_white.webp";
-    };
-    const bgImage = getBackgroundImage(noteData.type, mode);
-    
-    if (!this.bgSprite) {
-      this.bgSprite = new PIXI.Sprite();
-      this.addChild(this.bgSprite);
-    }
-    try {
-      this.bgSprite.texture = PIXI.Texture.from(bgImage);
-    } catch (err) {
-      console.error(`Failed to load background texture: ${bgImage}`, err);
-      this.bgSprite.texture = PIXI.Texture.EMPTY;
-    }
-    this.bgSprite.width = width;
-    this.bgSprite.height = height;
-    
-    // --- Foreground (User-Assigned) Photo for Modern Mode ---
-    // (This is the code missing from your current version.)
-    if (isPhoto) {
-      const fgImage = noteData.image || "modules/investigation-board/assets/placeholder.webp";
-      if (!this.photoImageSprite) {
-        this.photoImageSprite = new PIXI.Sprite();
-        this.addChild(this.photoImageSprite);
-      }
-      try {
-        this.photoImageSprite.texture = PIXI.Texture.from(fgImage);
-      } catch (err) {
-        console.error(`Failed to load foreground texture: ${fgImage}`, err);
-        this.photoImageSprite.texture = PIXI.Texture.EMPTY;
-      }
-      // Use offsets similar to your old code.
-      const widthOffset = width * 0.13333;
-      const heightOffset = height * 0.30246;
-      this.photoImageSprite.width = width - widthOffset;
-      this.photoImageSprite.height = height - heightOffset;
-      this.photoImageSprite.position.set(widthOffset / 2, heightOffset / 2);
-      this.photoImageSprite.visible = true;
-    } else if (this.photoImageSprite) {
-      this.photoImageSprite.visible = false;
-    }
-    
-    // --- Pin Handling (Standard) ---
-    {
-      const pinSetting = game.settings.get(MODULE_ID, "pinColor");
-      if (pinSetting === "none") {
-        if (this.pinSprite) {
-          this.removeChild(this.pinSprite);
-          this.pinSprite.destroy();
-          this.pinSprite = null;
-        }
-      } else {
-        if (!this.pinSprite) {
-          this.pinSprite = new PIXI.Sprite();
-          this.addChild(this.pinSprite);
-        }
-        let pinColor = noteData.pinColor;
-        if (!pinColor) {
-          pinColor = (pinSetting === "random")
-            ? PIN_COLORS[Math.floor(Math.random() * PIN_COLORS.length)]
-            : `${pinSetting}Pin.webp`;
-	  if (this.document.isOwner) {
-            await this.document.update({ [`flags.${MODULE_ID}.pinColor`]: pinColor });
-          }
-        }
-        const pinImage = `modules/investigation-board/assets/${pinColor}`;
-        try {
-          this.pinSprite.texture = PIXI.Texture.from(pinImage);
-        } catch (err) {
-          console.error(`Failed to load pin texture: ${pinImage}`, err);
-          this.pinSprite.texture = PIXI.Texture.EMPTY;
-        }
-        this.pinSprite.width = 40;
-        this.pinSprite.height = 40;
-        this.pinSprite.position.set(width / 2 - 20, 3);
-      }
-    }
-    
-    // Default text layout for non-futuristic notes.
-    const font = game.settings.get(MODULE_ID, "font");
-    const baseFontSize = game.settings.get(MODULE_ID, "baseFontSize");
-    const fontSize = (width / 200) * baseFontSize;
-    const textStyle = new PIXI.TextStyle({
-      fontFamily: font,
-      fontSize: fontSize,
-      fill: "#000000",
-      wordWrap: true,
-      wordWrapWidth: width - 15,
-      align: "center",
+// Add "Create Photo Note from..." to the sidebar context menus.
+for (const [documentName, directory] of Object.entries(NOTE_SOURCE_DIRECTORIES)) {
+  Hooks.on(`get${directory}EntryContext`, (html, options) => {
+    const collection = game.collections.get(documentName);
+    const label = game.i18n.localize(CONFIG[documentName].documentClass.metadata.label);
+    options.push({
+      name: game.i18n.format("INVESTIGATION_BOARD.Controls.CreatePhotoNoteFrom", { document: label }),
+      icon: '<i class="fa-solid fa-camera-polaroid"></i>',
+      condition: () => !!canvas.scene,
+      callback: li => createPhotoNoteFromDocument(collection.get(li.data("documentId")))
     });
-    const truncatedText = this._truncateText(noteData.text || "Default Text", font, noteData.type, fontSize);
-    if (!this.noteText) {
-      this.noteText = new PIXI.Text(truncatedText, textStyle);
-      this.noteText.anchor.set(0.5);
-      this.addChild(this.noteText);
-    } else {
-      this.noteText.style = textStyle;
-      this.noteText.text = truncatedText;
-    }
-    this.noteText.position.set(width / 2, isPhoto ? height - 25 : height / 2);
-  }
-  
-  
-  
-
-  _truncateText(text, font, noteType, currentFontSize) {
-    const limits = getDynamicCharacterLimits(font, currentFontSize);
-    const charLimit = limits[noteType] || 100;
-    return text.length <= charLimit ? text : text.slice(0, charLimit).trim() + "...";
-  }
+  });
 }
 
+// While the board layer is active, dropping a document from the sidebar creates a photo note at the drop point.
+Hooks.on("dropCanvasData", (canvas, data) => {
+  if (!(data.type in NOTE_SOURCE_DIRECTORIES) || !data.uuid) return;
+  if (canvas.activeLayer !== canvas.investigationBoard) return;
 
+  fromUuid(data.uuid).then(document => {
+    if (document) createPhotoNoteFromDocument(document, { x: data.x, y: data.y });
+  });
+  return false;
+});
 
-async function createNote(noteType) {
-  const scene = canvas.scene;
-  if (!scene) {
-    console.error("Cannot create note: No active scene.");
-    return;
-  }
-
-  // Retrieve width settings (or use defaults)
-  const stickyW = game.settings.get(MODULE_ID, "stickyNoteWidth") || 200;
-  const photoW = game.settings.get(MODULE_ID, "photoNoteWidth") || 225;
-  const indexW = game.settings.get(MODULE_ID, "indexNoteWidth") || 600;
-
-  const width = noteType === "photo" ? photoW 
-                : noteType === "index" ? indexW 
-                : stickyW;
-  const height = noteType === "photo" ? Math.round(photoW / (225 / 290)) 
-                 : noteType === "index" ? Math.round(indexW / (600 / 400)) 
-                 : stickyW;
+Hooks.on("getSceneControlButtons", (controls) => {
+  controls.push({
+    name: "investigationBoard",
+    title: "INVESTIGATION_BOARD.Title",
+    icon: "fas fa-thumbtack",
+    layer: "investigationBoard",
+    activeTool: "select",
+    visible: true,
+    tools: [
+      { name: "select", title: "INVESTIGATION_BOARD.Controls.Select", icon: "fas fa-expand" },
+      { name: "boardOverview", title: "INVESTIGATION_BOARD.Controls.BoardOverview", icon: "fas fa-list", onClick: () => openBoardOverview(), button: true },
+      { name: "createStickyNote", title: "INVESTIGATION_BOARD.Controls.CreateStickyNote", icon: "fas fa-sticky-note", onClick: () => createNote("sticky"), button: true },
+      { name: "createPhotoNote", title: "INVESTIGATION_BOARD.Controls.CreatePhotoNote", icon: "fa-solid fa-camera-polaroid", onClick: () => createNote("photo"), button: true },
+      { name: "createIndexCard", title: "INVESTIGATION_BOARD.Controls.CreateIndexCard", icon: "fa-regular fa-subtitles", onClick: () => createNote("index"), button: true },
+      { name: "createFromTemplate", title: "INVESTIGATION_BOARD.Controls.CreateFromTemplate", icon: "fas fa-id-card", onClick: () => promptCardTemplate(), button: true },
+      { name: "connectNotes", title: "INVESTIGATION_BOARD.Controls.ConnectNotes", icon: "fas fa-link", onClick: () => connectSelectedNotes(), button: true },
+      { name: "disconnectNotes", title: "INVESTIGATION_BOARD.Controls.DisconnectNotes", icon: "fas fa-unlink", onClick: () => disconnectSelectedNotes(), button: true },
+      { name: "arrangeNotes", title: "INVESTIGATION_BOARD.Controls.ArrangeNotes", icon: "fas fa-th", onClick: () => promptArrangeNotes(), button: true },
+      { name: "undoLayout", title: "INVESTIGATION_BOARD.Controls.UndoMove", icon: "fas fa-undo", onClick: () => canvas.investigationBoard.undoHistory(), button: true },
+      {
+        name: "timeline",
+        title: "INVESTIGATION_BOARD.Controls.Timeline",
+        icon: "fas fa-timeline",
+        toggle: true,
+        active: !!canvas.investigationBoard?.timeline,
+        onClick: toggled => canvas.investigationBoard.toggleTimeline(toggled),
+      },
+      { name: "statusFilter", title: "INVESTIGATION_BOARD.Controls.StatusFilter", icon: "fas fa-filter", onClick: () => configureStatusFilter(), button: true },
+      { name: "submitDeduction", title: "INVESTIGATION_BOARD.Controls.SubmitDeduction", icon: "fas fa-gavel", onClick: () => promptSubmitDeduction(), button: true },
+      { name: "deductionPuzzles", title: "INVESTIGATION_BOARD.Controls.DeductionPuzzles", icon: "fas fa-puzzle-piece", visible: game.user.isGM, onClick: () => new DeductionConfig().render(true), button: true },
+      { name: "revealNotes", title: "INVESTIGATION_BOARD.Controls.RevealNotes", icon: "fas fa-eye", visible: game.user.isGM, onClick: () => canvas.investigationBoard.revealNotes(), button: true },
+      { name: "turnNotesFaceDown", title: "INVESTIGATION_BOARD.Controls.TurnNotesFaceDown", icon: "fas fa-eye-slash", visible: game.user.isGM, onClick: () => canvas.investigationBoard.turnNotesFaceDown(), button: true },
+      { name: "deleteNotes", title: "INVESTIGATION_BOARD.Controls.DeleteNotes", icon: "fas fa-eraser", onClick: () => canvas.investigationBoard.deleteControlled(), button: true },
+      { name: "exportBoard", title: "INVESTIGATION_BOARD.Controls.ExportBoard", icon: "fas fa-file-export", visible: game.user.isGM, onClick: () => exportBoard(), button: true },
+      { name: "snapshotBoard", title: "INVESTIGATION_BOARD.Controls.Snapshot", icon: "fas fa-camera-retro", onClick: () => promptBoardSnapshot(), button: true },
+      { name: "importBoard", title: "INVESTIGATION_BOARD.Controls.ImportBoard", icon: "fas fa-file-import", visible: game.user.isGM, onClick: () => importBoard(), button: true },
+      { name: "deletedNotes", title: "INVESTIGATION_BOARD.Controls.DeletedNotes", icon: "fas fa-trash-restore", visible: game.user.isGM, onClick: () => openNoteTrash(), button: true },
+      { name: "clearBoard", title: "INVESTIGATION_BOARD.Controls.ClearBoard", icon: "fas fa-trash", visible: game.user.isGM, onClick: () => canvas.investigationBoard.clearBoard(), button: true }
+    ]
+  });
+});
 
-  const dims = canvas.dimensions;
-  const x = dims.width / 2;
-  const y = dims.height / 2;
+Hooks.once("init", () => {
+  registerSettings();
+  registerThemeSettings();
+  registerCardTemplateSettings();
+  CONFIG.Canvas.layers.investigationBoard = { layerClass: InvestigationBoardLayer, group: "interface" };
+
+  game.keybindings.register(MODULE_ID, "deleteNotes", {
+    name: "INVESTIGATION_BOARD.Keybindings.DeleteNotes.Name",
+    hint: "INVESTIGATION_BOARD.Keybindings.DeleteNotes.Hint",
+    editable: [{ key: "Delete" }, { key: "Backspace" }],
+    onDown: () => {
+      const layer = canvas.investigationBoard;
+      if (!layer?.active || !layer.controlled.size) return false;
+      layer.deleteControlled();
+      return true;
+    },
+  });
 
-  // Get default text from settings (fallback if missing)
-  const defaultText = game.settings.get(MODULE_ID, `${noteType}NoteDefaultText`) || "Notes";
+  // Foundry's own undo only handles placeable layers, so the board brings its own.
+  game.keybindings.register(MODULE_ID, "undoMove", {
+    name: "INVESTIGATION_BOARD.Keybindings.UndoMove.Name",
+    hint: "INVESTIGATION_BOARD.Keybindings.UndoMove.Hint",
+    editable: [{ key: "KeyZ", modifiers: [KeyboardManager.MODIFIER_KEYS.CONTROL] }],
+    precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY,
+    onDown: () => {
+      const layer = canvas.investigationBoard;
+      if (!layer?.active || !layer.history.length) return false;
+      layer.undoHistory();
+      return true;
+    },
+  });
 
-  // Determine board mode and include identityName if note is a futuristic photo note
-  const boardMode = game.settings.get(MODULE_ID, "boardMode");
-  const extraFlags = {};
-  if (noteType === "photo" && boardMode === "futuristic") {
-    extraFlags.identityName = "";
+  // Quick capture: type a new note at the cursor without going through the controls and the sheet.
+  const quickNoteKeys = { sticky: "Digit1", photo: "Digit2", index: "Digit3" };
+  for (const [type, key] of Object.entries(quickNoteKeys)) {
+    game.keybindings.register(MODULE_ID, `quickNote${type.capitalize()}`, {
+      name: `INVESTIGATION_BOARD.Keybindings.QuickNote.${type}`,
+      hint: "INVESTIGATION_BOARD.Keybindings.QuickNote.Hint",
+      editable: [{ key, modifiers: [KeyboardManager.MODIFIER_KEYS.ALT] }],
+      onDown: () => {
+        const layer = canvas.investigationBoard;
+        if (!canvas.ready || !layer) return false;
+        if (!layer.active) layer.activate();
+        layer.quickNote.open(type);
+        return true;
+      },
+    });
   }
 
-  await canvas.scene.createEmbeddedDocuments("Drawing", [
-    {
-      type: "r",
-      author: game.user.id,
-      x,
-      y,
-      shape: { width, height },
-      fillColor: "#ffffff",
-      fillAlpha: 1,
-      strokeColor: "transparent",
-      strokeAlpha: 0,
-      locked: false,
-      flags: {
-        [MODULE_ID]: {
-          type: noteType,
-          text: defaultText,
-          ...extraFlags
-        },
-      },
-      "flags.core.sheetClass": "investigation-board.CustomDrawingSheet",
-      "ownership": { default: 3 },
+  game.keybindings.register(MODULE_ID, "cyclePinColor", {
+    name: "INVESTIGATION_BOARD.Keybindings.CyclePinColor.Name",
+    hint: "INVESTIGATION_BOARD.Keybindings.CyclePinColor.Hint",
+    editable: [{ key: "KeyP" }],
+    onDown: () => {
+      const layer = canvas.investigationBoard;
+      if (!layer?.active || !layer.controlled.size) return false;
+      layer.cyclePinColor();
+      return true;
     },
-  ]);
-
-  canvas.drawings.activate();
-}
-
-
-
-Hooks.on("getSceneControlButtons", (controls) => {
-  const journalControls = controls.find((c) => c.name === "notes");
-  if (!journalControls) return;
-
-  journalControls.tools.push(
-    { name: "createStickyNote", title: "Create Sticky Note", icon: "fas fa-sticky-note", onClick: () => createNote("sticky"), button: true },
-    { name: "createPhotoNote", title: "Create Photo Note", icon: "fa-solid fa-camera-polaroid", onClick: () => createNote("photo"), button: true },
-    { name: "createIndexCard", title: "Create Index Card", icon: "fa-regular fa-subtitles", onClick: () => createNote("index"), button: true }
-  );
-});
-
-Hooks.once("init", () => {
-  registerSettings();
-  CONFIG.Drawing.objectClass = CustomDrawing;
+  });
 
-  DocumentSheetConfig.registerSheet(DrawingDocument, "investigation-board", CustomDrawingSheet, {
-    label: "Note Drawing Sheet",
-    types: ["base"],
-    makeDefault: false,
+  game.keybindings.register(MODULE_ID, "duplicateNotes", {
+    name: "INVESTIGATION_BOARD.Keybindings.DuplicateNotes.Name",
+    hint: "INVESTIGATION_BOARD.Keybindings.DuplicateNotes.Hint",
+    editable: [{ key: "KeyD", modifiers: [KeyboardManager.MODIFIER_KEYS.CONTROL] }],
+    precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY,
+    onDown: () => {
+      const layer = canvas.investigationBoard;
+      if (!layer?.active || !layer.controlled.size) return false;
+      layer.duplicateControlled();
+      return true;
+    },
   });
 
   console.log("Investigation Board module initialized.");
 });
 
+Hooks.once("ready", () => {
+  runMigrations();
+});
+
 
-export { CustomDrawing, CustomDrawingSheet };
+export { InvestigationBoardLayer, InvestigationNote, InvestigationNoteSheet };
@@ -0,0 +1,517 @@
+import { MODULE_ID } from "./constants.js";
+import { getCardText } from "./card-templates.js";
+import { getClueStatus } from "./clue-status.js";
+import { getLinkState, openLinkedDocument } from "./linked-documents.js";
+import { getPinColor } from "./notes.js";
+import { fitPhoto, getPhotoFilters } from "./photo-fit.js";
+import { RichTextBlock, fitRichText, richTextToPlain } from "./rich-text.js";
+import { fitText } from "./text-fit.js";
+import { getNoteLayout } from "./themes.js";
+import { canEditNote, isFaceDown } from "./visibility.js";
+import { InvestigationNoteSheet } from "./note-sheet.js";
+
+const PLACEHOLDER_PHOTO = "modules/investigation-board/assets/placeholder.webp";
+
+// Parts of a note that can be redrawn on their own. Visibility is applied after every refresh.
+const RENDER_PARTS = ["background", "photo", "pin", "text", "link", "status"];
+
+// The parts to redraw when a field of the note data changes.
+const DATA_RENDER_PARTS = {
+  text: ["text"],
+  identityName: ["text"],
+  font: ["text"],
+  fontSize: ["text"],
+  tint: ["background"],
+  template: ["text"],
+  fields: ["text"],
+  image: ["photo"],
+  photoFit: ["photo"],
+  photoZoom: ["photo"],
+  photoFocus: ["photo"],
+  photoFilter: ["photo"],
+  pinColor: ["pin"],
+  linkedUuid: ["link"],
+  status: ["status"],
+  visibility: ["status"],
+};
+
+// Font Awesome glyphs and colors for the link icon, by link state.
+const LINK_ICONS = {
+  linked: { glyph: "\uf0c1", color: "#1a237e" },
+  missing: { glyph: "\uf127", color: "#c62828" },
+  hidden: { glyph: "\uf070", color: "#616161" },
+};
+
+// Font Awesome glyphs shown to GMs on notes that not every player can see.
+const VISIBILITY_ICONS = {
+  gm: "\uf21b",
+  players: "\uf0c0",
+  facedown: "\uf070",
+};
+
+// A hidden element the hover tooltip is anchored to, since canvas objects have no DOM element of their own.
+function getTooltipAnchor() {
+  let anchor = document.getElementById("investigation-board-tooltip-anchor");
+  if (!anchor) {
+    anchor = document.createElement("div");
+    anchor.id = "investigation-board-tooltip-anchor";
+    document.body.appendChild(anchor);
+  }
+  return anchor;
+}
+
+// Notes marked as dead ends are drawn without color. One filter serves every note.
+let greyFilter = null;
+
+function getGreyFilter() {
+  if (!greyFilter) {
+    greyFilter = new PIXI.ColorMatrixFilter();
+    greyFilter.desaturate();
+    greyFilter.brightness(0.85, true);
+  }
+  return greyFilter;
+}
+
+// Textures are shared between notes and only loaded once.
+async function getCachedTexture(src) {
+  return getTexture(src) ?? await loadTexture(src) ?? PIXI.Texture.EMPTY;
+}
+
+// Base text styles are shared between notes with the same font, color and size.
+// The fitting functions work on copies, so these are never changed.
+const textStyles = new Map();
+
+function getTextStyle(layout, fontSize) {
+  const key = `${layout.font}|${layout.textColor}|${fontSize}`;
+  if (!textStyles.has(key)) {
+    textStyles.set(key, new PIXI.TextStyle({ fontFamily: layout.font, fontSize, fill: layout.textColor }));
+  }
+  return textStyles.get(key);
+}
+
+/**
+ * The canvas representation of a single note on the Investigation Board layer.
+ */
+export class InvestigationNote extends PIXI.Container {
+  constructor(data) {
+    super();
+    this.data = data;
+    this.controlled = false;
+    this.bgSprite = null;
+    this.pinSprite = null;
+    this.noteText = null;
+    this.photoImageSprite = null;
+    this.photoBackdrop = null;
+    this.photoMask = null;
+    this.identityNameText = null;
+    this.linkIcon = null;
+    this.cardBack = null;
+    this.visibilityIcon = null;
+    this.statusStamp = null;
+    this.frame = null;
+    // Everything drawn on the card goes in here, so the card can be tilted around its center.
+    this.card = this.addChild(new PIXI.Container());
+    this._sheet = null;
+    // The theme layout the note was last drawn with.
+    this.layout = null;
+    // Where red strings are tied, relative to the note's top-left corner.
+    this.pinAnchor = { x: 0, y: 0 };
+    // Size of the rendered note, used for hit testing and selection.
+    this.noteWidth = 0;
+    this.noteHeight = 0;
+    this.isTruncated = false;
+    this.eventMode = "static";
+    this.cursor = "pointer";
+    this.on("pointerover", this._onHoverIn, this);
+    this.on("pointerout", this._onHoverOut, this);
+  }
+
+  get id() {
+    return this.data.id;
+  }
+
+  get sheet() {
+    if (!this._sheet) this._sheet = new InvestigationNoteSheet(this.data, { id: `investigation-note-${this.id}` });
+    return this._sheet;
+  }
+
+  get canEdit() {
+    return canEditNote(this.data);
+  }
+
+  get bounds() {
+    return new PIXI.Rectangle(this.x, this.y, this.noteWidth, this.noteHeight);
+  }
+
+  async draw() {
+    await this.refresh();
+    return this;
+  }
+
+  /**
+   * Replace the note data, redrawing only the parts affected by what changed.
+   */
+  async update(data) {
+    const changed = new Set();
+    for (const key of new Set([...Object.keys(this.data), ...Object.keys(data)])) {
+      if (!foundry.utils.objectsEqual({ v: this.data[key] }, { v: data[key] })) changed.add(key);
+    }
+    this.data = data;
+    if (!changed.size) return this;
+    // A different type or size changes the whole layout.
+    if (changed.has("type") || changed.has("size")) return this.refresh();
+    return this.refresh(RENDER_PARTS.filter(part => [...changed].some(key => DATA_RENDER_PARTS[key]?.includes(part))));
+  }
+
+  /**
+   * Redraw the given parts of the note, or all of them.
+   */
+  async refresh(parts = RENDER_PARTS) {
+    this.position.set(this.data.x, this.data.y);
+    this.layout = getNoteLayout(this.data.type, undefined, { size: this.data.size, font: this.data.font });
+    this.noteWidth = this.layout.width;
+    this.noteHeight = this.layout.height;
+    this._refreshRotation();
+
+    if (parts.includes("background")) await this._refreshBackground();
+    if (parts.includes("photo")) await this._refreshPhoto();
+    if (parts.includes("pin")) await this._refreshPin();
+    if (parts.includes("text")) this._refreshText();
+    if (parts.includes("link")) this._updateLinkIcon(this.data, this.layout.width);
+    if (parts.includes("status")) this._refreshStatus();
+    this._updateVisibility(this.layout);
+    this._refreshState();
+    return this;
+  }
+
+  // Outline the note while it is selected.
+  _refreshState() {
+    if (!this.frame) {
+      this.frame = new PIXI.Graphics();
+      this.addChild(this.frame);
+    }
+    this.frame.clear();
+    if (this.controlled) {
+      this.frame.lineStyle(4, 0xff9829, 1).drawRect(0, 0, this.noteWidth, this.noteHeight);
+    }
+    this.hitArea = new PIXI.Rectangle(0, 0, this.noteWidth, this.noteHeight);
+  }
+
+  // Tilt the card around its center. Strings stay tied to the pin wherever it ends up.
+  _refreshRotation() {
+    const { width, height, pin } = this.layout;
+    const angle = this.data.rotation || 0;
+    this.card.pivot.set(width / 2, height / 2);
+    this.card.position.set(width / 2, height / 2);
+    this.card.angle = angle;
+
+    const radians = Math.toRadians(angle);
+    const dx = pin.x - width / 2;
+    const dy = pin.y - height / 2;
+    this.pinAnchor = {
+      x: width / 2 + dx * Math.cos(radians) - dy * Math.sin(radians),
+      y: height / 2 + dx * Math.sin(radians) + dy * Math.cos(radians),
+    };
+  }
+
+  async _refreshBackground() {
+    const { background, width, height } = this.layout;
+    if (!this.bgSprite) {
+      this.bgSprite = new PIXI.Sprite();
+      this.card.addChildAt(this.bgSprite, 0);
+    }
+    this.bgSprite.texture = await getCachedTexture(background);
+    this.bgSprite.tint = this.data.tint ? Color.from(this.data.tint) : 0xffffff;
+    this.bgSprite.width = width;
+    this.bgSprite.height = height;
+  }
+
+  // The user-assigned photo, for note types whose layout has a photo window.
+  async _refreshPhoto() {
+    const { photo } = this.layout;
+    if (!photo) {
+      if (this.photoImageSprite) this.photoImageSprite.visible = false;
+      return;
+    }
+    if (!this.photoImageSprite) {
+      this.photoImageSprite = new PIXI.Sprite();
+      this.card.addChildAt(this.photoImageSprite, 1);
+      // The window is darkened behind photos that do not fill it, and clips those that overflow it.
+      this.photoBackdrop = this.card.addChildAt(new PIXI.Graphics(), 1);
+      this.photoMask = this.card.addChild(new PIXI.Graphics());
+      this.photoImageSprite.mask = this.photoMask;
+    }
+    const texture = await getCachedTexture(this.data.image || PLACEHOLDER_PHOTO);
+    const fit = this.data.photoFit || "cover";
+    const placement = fitPhoto(texture, photo, { fit, zoom: this.data.photoZoom, focus: this.data.photoFocus });
+    this.photoImageSprite.texture = texture;
+    this.photoImageSprite.width = placement.width;
+    this.photoImageSprite.height = placement.height;
+    this.photoImageSprite.position.set(placement.x, placement.y);
+    this.photoImageSprite.filters = getPhotoFilters(this.data.photoFilter);
+    this.photoImageSprite.visible = true;
+    this.photoBackdrop.clear().beginFill(0x1a1a1a).drawRect(photo.x, photo.y, photo.width, photo.height).endFill();
+    this.photoMask.clear().beginFill(0xffffff).drawRect(photo.x, photo.y, photo.width, photo.height).endFill();
+  }
+
+  async _refreshPin() {
+    if ((game.settings.get(MODULE_ID, "pinColor") === "none") || (this.data.pinColor === "none")) {
+      if (this.pinSprite) {
+        this.card.removeChild(this.pinSprite);
+        this.pinSprite.destroy();
+        this.pinSprite = null;
+      }
+      return;
+    }
+    if (!this.pinSprite) {
+      this.pinSprite = new PIXI.Sprite();
+      this.card.addChild(this.pinSprite);
+    }
+    this.pinSprite.texture = await getCachedTexture(`modules/investigation-board/assets/${getPinColor(this.data)}`);
+    const { pin } = this.layout;
+    this.pinSprite.width = pin.size;
+    this.pinSprite.height = pin.size;
+    this.pinSprite.position.set(pin.x - pin.size / 2, pin.y - pin.size / 2);
+  }
+
+  _refreshText() {
+    const layout = this.layout;
+    const baseFontSize = this.data.fontSize || game.settings.get(MODULE_ID, "baseFontSize");
+    const fontSize = (layout.width / 200) * baseFontSize;
+    let truncated = false;
+
+    if (layout.identityName) {
+      if (!this.identityNameText) {
+        this.identityNameText = new PIXI.Text("");
+        this.card.addChild(this.identityNameText);
+      }
+      truncated = this._layoutText(this.identityNameText, this.data.identityName || game.i18n.localize("INVESTIGATION_BOARD.Sheet.DefaultIdentityName"), layout.identityName, layout, fontSize);
+    } else if (this.identityNameText) {
+      this.card.removeChild(this.identityNameText);
+      this.identityNameText.destroy();
+      this.identityNameText = null;
+    }
+
+    if (!this.noteText) {
+      this.noteText = new RichTextBlock();
+      this.card.addChild(this.noteText);
+    }
+    // Card template fields read best as a left-aligned list.
+    const area = this.data.template ? { ...layout.text, align: "left", valign: "top" } : layout.text;
+    truncated = this._layoutRichText(getCardText(this.data) || game.i18n.localize("INVESTIGATION_BOARD.Sheet.DefaultText"), area, layout, fontSize) || truncated;
+    this.isTruncated = truncated;
+  }
+
+  // Stamp the clue status across the note. Face-down notes keep their status to themselves.
+  _refreshStatus() {
+    const status = isFaceDown(this.data) ? null : getClueStatus(this.data);
+    const { width, height } = this.layout;
+    if (!this.statusStamp) {
+      this.statusStamp = new PIXI.Container();
+      this.statusStamp.eventMode = "none";
+      this.card.addChild(this.statusStamp);
+    }
+    for (const child of this.statusStamp.removeChildren()) child.destroy({ children: true });
+    this.card.filters = status?.greyed ? [getGreyFilter()] : null;
+    if (!status) return;
+
+    const color = Color.from(status.color);
+    if (status.cross) {
+      const inset = Math.min(width, height) * 0.1;
+      const cross = new PIXI.Graphics();
+      cross.lineStyle(Math.max(6, width / 25), color, 0.8)
+        .moveTo(inset, inset).lineTo(width - inset, height - inset)
+        .moveTo(width - inset, inset).lineTo(inset, height - inset);
+      this.statusStamp.addChild(cross);
+    }
+    if (status.stamp) {
+      const fontSize = Math.max(12, width / 9);
+      const padding = fontSize * 0.3;
+      const text = new PIXI.Text(game.i18n.localize(status.stamp), {
+        fontFamily: "Signika",
+        fontWeight: "bold",
+        fontSize,
+        fill: status.color,
+        letterSpacing: 2,
+      });
+      text.anchor.set(0.5);
+      const stampWidth = text.width + padding * 2;
+      const stampHeight = text.height + padding;
+      const border = new PIXI.Graphics();
+      border.lineStyle(Math.max(2, fontSize / 8), color, 1)
+        .drawRoundedRect(-stampWidth / 2, -stampHeight / 2, stampWidth, stampHeight, padding);
+
+      const stamp = new PIXI.Container();
+      stamp.addChild(border, text);
+      stamp.alpha = 0.85;
+      stamp.angle = -15;
+      stamp.scale.set(Math.min(1, (width * 0.85) / stampWidth));
+      stamp.position.set(width / 2, height / 2);
+      this.statusStamp.addChild(stamp);
+    }
+  }
+
+  /**
+   * Players see face-down notes as a blank card back. GMs see hidden notes faded, with an icon
+   * telling who can see them.
+   */
+  _updateVisibility(layout) {
+    const faceDown = isFaceDown(this.data);
+    for (const child of [this.photoImageSprite, this.identityNameText, this.noteText, this.linkIcon]) {
+      if (child) child.visible = !faceDown && (child !== this.photoImageSprite || !!layout.photo);
+    }
+    if (this.photoBackdrop) this.photoBackdrop.visible = !faceDown && !!layout.photo && (this.data.photoFit === "contain");
+
+    if (faceDown && !this.cardBack) {
+      this.cardBack = new PIXI.Text("?", { fontFamily: layout.font, fill: layout.textColor });
+      this.cardBack.anchor.set(0.5);
+      this.card.addChild(this.cardBack);
+    }
+    if (this.cardBack) {
+      this.cardBack.visible = faceDown;
+      this.cardBack.style.fontFamily = layout.font;
+      this.cardBack.style.fill = layout.textColor;
+      this.cardBack.style.fontSize = layout.height / 3;
+      this.cardBack.position.set(layout.width / 2, layout.height / 2);
+    }
+
+    const icon = game.user.isGM ? VISIBILITY_ICONS[this.data.visibility] : null;
+    this.alpha = icon ? 0.75 : 1;
+    if (icon && !this.visibilityIcon) {
+      this.visibilityIcon = new PIXI.Text("", {
+        fontFamily: "Font Awesome 6 Pro",
+        fontWeight: "900",
+        fontSize: 18,
+        fill: "#ffffff",
+        stroke: "#000000",
+        strokeThickness: 3,
+      });
+      this.card.addChild(this.visibilityIcon);
+    }
+    if (this.visibilityIcon) {
+      this.visibilityIcon.visible = !!icon;
+      this.visibilityIcon.text = icon ?? "";
+      this.visibilityIcon.position.set(6, 6);
+    }
+  }
+
+  /**
+   * Briefly pulse a glowing outline around the note to draw the eye to it.
+   */
+  async highlight() {
+    const glow = new PIXI.Graphics();
+    glow.lineStyle(8, 0xffd54f, 1).drawRect(-6, -6, this.noteWidth + 12, this.noteHeight + 12);
+    this.addChild(glow);
+    const name = `InvestigationNote.${this.id}.highlight`;
+    for (let i = 0; i < 3; i++) {
+      glow.alpha = 1;
+      await CanvasAnimation.animate([{ parent: glow, attribute: "alpha", to: 0 }], { name, duration: 500 });
+    }
+    if (!glow.destroyed) glow.destroy();
+  }
+
+  /**
+   * Flip the note over, calling onFlipped when it is edge-on so the new face can be drawn.
+   */
+  async flip(onFlipped) {
+    const name = `InvestigationNote.${this.id}.flip`;
+    const center = this.x + this.noteWidth / 2;
+    await CanvasAnimation.animate([
+      { parent: this.scale, attribute: "x", to: 0 },
+      { parent: this, attribute: "x", to: center },
+    ], { name, duration: 200 });
+    await onFlipped?.();
+    this.scale.x = 0;
+    this.x = center;
+    await CanvasAnimation.animate([
+      { parent: this.scale, attribute: "x", to: 1 },
+      { parent: this, attribute: "x", to: this.data.x },
+    ], { name, duration: 200 });
+  }
+
+  /**
+   * Place a text object inside a text area of the theme layout, shrinking the font to fit.
+   * Returns true if the text had to be cut short.
+   */
+  _layoutText(textObject, text, area, layout, fontSize) {
+    const align = area.align || "center";
+    const valign = area.valign || "middle";
+    const minFontSize = game.settings.get(MODULE_ID, "minFontSize");
+    const fitted = fitText(text, getTextStyle(layout, fontSize), area, minFontSize);
+    fitted.style.align = align;
+    textObject.style = fitted.style;
+    textObject.text = fitted.text;
+
+    const anchorX = { left: 0, center: 0.5, right: 1 }[align] ?? 0.5;
+    const anchorY = { top: 0, middle: 0.5, bottom: 1 }[valign] ?? 0.5;
+    textObject.anchor.set(anchorX, anchorY);
+    textObject.position.set(area.x + area.width * anchorX, area.y + area.height * anchorY);
+    return fitted.truncated;
+  }
+
+  /**
+   * Draw the formatted note text inside its text area, shrinking the font to fit.
+   * Returns true if the text had to be cut short.
+   */
+  _layoutRichText(text, area, layout, fontSize) {
+    const style = getTextStyle(layout, fontSize);
+    const minFontSize = game.settings.get(MODULE_ID, "minFontSize");
+    const textLayout = fitRichText(text, style, area, minFontSize);
+    this.noteText.draw(textLayout, area, { align: area.align, valign: area.valign });
+    return textLayout.truncated;
+  }
+
+  // Show the full text of a truncated note while hovering it.
+  _onHoverIn(event) {
+    if (!this.isTruncated || isFaceDown(this.data)) return;
+    const anchor = getTooltipAnchor();
+    const { x, y } = canvas.clientCoordinatesFromCanvas({ x: this.x, y: this.y });
+    const { x: right, y: bottom } = canvas.clientCoordinatesFromCanvas({ x: this.x + this.noteWidth, y: this.y + this.noteHeight });
+    Object.assign(anchor.style, {
+      position: "fixed",
+      left: `${x}px`,
+      top: `${y}px`,
+      width: `${right - x}px`,
+      height: `${bottom - y}px`,
+      pointerEvents: "none",
+    });
+    const text = [this.data.identityName, richTextToPlain(getCardText(this.data))].filter(t => t).join("\n");
+    game.tooltip.activate(anchor, { text, direction: TooltipManager.TOOLTIP_DIRECTIONS.UP, cssClass: "investigation-board-tooltip" });
+  }
+
+  _onHoverOut(event) {
+    if (game.tooltip.element === getTooltipAnchor()) game.tooltip.deactivate();
+  }
+
+  // Show a small link icon next to the pin when the note points to another document.
+  _updateLinkIcon(noteData, width) {
+    const state = getLinkState(noteData.linkedUuid);
+    if (state === "none") {
+      if (this.linkIcon) {
+        this.card.removeChild(this.linkIcon);
+        this.linkIcon.destroy();
+        this.linkIcon = null;
+      }
+      return;
+    }
+
+    if (!this.linkIcon) {
+      this.linkIcon = new PIXI.Text("", {
+        fontFamily: "Font Awesome 6 Pro",
+        fontWeight: "900",
+        fontSize: 18,
+      });
+      this.linkIcon.eventMode = "static";
+      this.linkIcon.cursor = "pointer";
+      this.linkIcon.on("pointerdown", event => {
+        event.stopPropagation();
+        openLinkedDocument(this.data.linkedUuid);
+      });
+      this.card.addChild(this.linkIcon);
+    }
+    const icon = LINK_ICONS[state];
+    this.linkIcon.text = icon.glyph;
+    this.linkIcon.style.fill = icon.color;
+    this.linkIcon.position.set(width / 2 + 22, 8);
+  }
+}
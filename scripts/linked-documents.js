@@ -0,0 +1,65 @@
+// Document types a note can link to.
+export const LINKABLE_TYPES = ["Actor", "JournalEntry", "JournalEntryPage", "Item"];
+
+/**
+ * Describe the state of a note's linked document for the current user.
+ * Returns "none" when nothing is linked, "missing" when the document no longer exists,
+ * "hidden" when the user cannot see it, and "linked" otherwise.
+ */
+export function getLinkState(uuid) {
+  if (!uuid) return "none";
+  let document;
+  try {
+    document = fromUuidSync(uuid);
+  } catch (err) {
+    return "missing";
+  }
+  if (!document) return "missing";
+  // Compendium index entries carry no ownership; let the compendium decide on open.
+  if (!(document instanceof foundry.abstract.Document)) return "linked";
+  return document.testUserPermission(game.user, "LIMITED") ? "linked" : "hidden";
+}
+
+export function getLinkedDocumentName(uuid) {
+  if (!uuid) return "";
+  try {
+    return fromUuidSync(uuid)?.name ?? "";
+  } catch (err) {
+    return "";
+  }
+}
+
+export async function openLinkedDocument(uuid) {
+  const state = getLinkState(uuid);
+  if (state === "missing") {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.LinkedDocument.Missing"));
+    return;
+  }
+  if (state === "hidden") {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.LinkedDocument.Hidden"));
+    return;
+  }
+
+  const document = await fromUuid(uuid);
+  if (!document) return;
+  if (document.documentName === "JournalEntryPage") {
+    document.parent.sheet.render(true, { pageId: document.id });
+  } else {
+    document.sheet.render(true);
+  }
+}
+
+// Redraw linked notes when one of their documents disappears or changes who can see it.
+function refreshLinkedNotes() {
+  if (!canvas.ready || !canvas.investigationBoard) return;
+  for (const note of canvas.investigationBoard.notes.values()) {
+    if (note.data.linkedUuid) note.refresh(["text", "link"]);
+  }
+}
+
+for (const documentName of LINKABLE_TYPES) {
+  Hooks.on(`delete${documentName}`, refreshLinkedNotes);
+  Hooks.on(`update${documentName}`, (document, changes) => {
+    if ("ownership" in changes) refreshLinkedNotes();
+  });
+}
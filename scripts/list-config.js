@@ -0,0 +1,52 @@
+/**
+ * Base for the forms that edit a list of entries: custom themes, card templates and deduction puzzles.
+ * The entries are kept in `this.entries` while the form is open, so entries can be added and removed before saving.
+ * Inputs are named `<listName>.<index>.<field>`, with `listName` given in the options. Buttons with the
+ * `add-entry` class add an entry, and those with the `delete-entry` class remove the one at their `data-index`.
+ */
+export class ListConfig extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      listName: "entries",
+      height: "auto",
+      closeOnSubmit: true,
+    });
+  }
+
+  // A blank entry, added by the add-entry button.
+  _newEntry() {
+    return {};
+  }
+
+  // An entry as read back from the form, in the shape `this.entries` keeps it.
+  _readEntry(entry) {
+    return entry;
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find(".add-entry").click(ev => {
+      ev.preventDefault();
+      this._editEntries(entries => entries.push(this._newEntry()));
+    });
+    html.find(".delete-entry").click(ev => {
+      ev.preventDefault();
+      this._editEntries(entries => entries.splice(Number(ev.currentTarget.dataset.index), 1));
+    });
+  }
+
+  /**
+   * Change the list and re-render the form, without losing edits that have not been saved yet.
+   * @param {function(object[])} edit
+   */
+  _editEntries(edit) {
+    this._syncEntries();
+    edit(this.entries);
+    this.render();
+  }
+
+  _syncEntries() {
+    const data = foundry.utils.expandObject(this._getSubmitData());
+    this.entries = Object.values(data[this.options.listName] ?? {}).map(entry => this._readEntry(entry));
+  }
+}
@@ -0,0 +1,252 @@
+import { MODULE_ID } from "./constants.js";
+import { addHiddenContents, applyBoardChanges } from "./hidden-notes.js";
+import { PIN_COLORS, getPinColor } from "./notes.js";
+import { NOTE_TYPES } from "./themes.js";
+import { VISIBILITY_MODES } from "./visibility.js";
+
+/*
+ * Every note stores the `schemaVersion` it was written with. When the way notes are stored changes,
+ * NOTE_SCHEMA_VERSION goes up and a step is added to MIGRATIONS to bring older notes up to date.
+ * The GM's client runs the steps on every scene when the world loads, and again for scenes created later,
+ * such as scenes imported from a compendium. Board imports run them too (see board-transfer.js).
+ */
+export const NOTE_SCHEMA_VERSION = 1;
+
+const PLACEHOLDER_PHOTO = "modules/investigation-board/assets/placeholder.webp";
+
+// What the migration changed, for the report shown to the GM.
+function createReport() {
+  return { scenes: 0, notes: 0, types: 0, pins: 0, images: 0, positions: 0, fields: 0, strings: 0, missingImages: [] };
+}
+
+// Images that could not be found, checked once per path.
+const imageChecks = new Map();
+
+function imageExists(src) {
+  if (!imageChecks.has(src)) imageChecks.set(src, srcExists(src).catch(() => false));
+  return imageChecks.get(src);
+}
+
+/**
+ * Version 1: the first versioned notes. Repairs data that earlier versions let through:
+ * unknown note types, pin colors that are not one of the pin files, photos that are missing,
+ * positions that are not numbers and fields of the wrong kind.
+ */
+async function migrateToV1(note, { report, checkImages }) {
+  if (!NOTE_TYPES.includes(note.type)) {
+    note.type = "sticky";
+    report.types += 1;
+  }
+
+  if (note.pinColor && (note.pinColor !== "none") && !PIN_COLORS.includes(note.pinColor)) {
+    // Older notes may carry a bare color name; anything else gets the note's usual stable color.
+    const named = `${String(note.pinColor).toLowerCase()}Pin.webp`;
+    note.pinColor = PIN_COLORS.includes(named) ? named : getPinColor({ id: note.id });
+    report.pins += 1;
+  }
+
+  if (note.type === "photo") {
+    if ((typeof note.image !== "string") || !note.image) {
+      note.image = PLACEHOLDER_PHOTO;
+      report.images += 1;
+    } else if (checkImages && !(await imageExists(note.image))) {
+      report.missingImages.push(note.image);
+      note.image = PLACEHOLDER_PHOTO;
+      report.images += 1;
+    }
+  }
+
+  for (const axis of ["x", "y"]) {
+    if (!Number.isFinite(note[axis])) {
+      note[axis] = 0;
+      report.positions += 1;
+    } else {
+      note[axis] = Math.round(note[axis]);
+    }
+  }
+
+  // Text fields of the wrong kind are emptied, and appearance overrides that make no sense are dropped.
+  let fixed = false;
+  for (const field of ["text", "identityName"]) {
+    if ((note[field] !== undefined) && (typeof note[field] !== "string")) {
+      note[field] = note[field] === null ? "" : String(note[field]);
+      fixed = true;
+    }
+  }
+  if (note.visibility && !(note.visibility in VISIBILITY_MODES)) {
+    note.visibility = "public";
+    fixed = true;
+  }
+  if ((note.players !== undefined) && !Array.isArray(note.players)) {
+    note.players = [];
+    fixed = true;
+  }
+  for (const field of ["size", "fontSize"]) {
+    if ((note[field] != null) && !(Number(note[field]) > 0)) {
+      note[field] = null;
+      fixed = true;
+    }
+  }
+  if ((note.rotation != null) && !Number.isFinite(note.rotation)) {
+    note.rotation = null;
+    fixed = true;
+  }
+  if (fixed) report.fields += 1;
+  return note;
+}
+
+// Each step upgrades a note to its version from the version before.
+const MIGRATIONS = {
+  1: migrateToV1,
+};
+
+/**
+ * Bring one note's data up to the current schema version.
+ * @param {object} data
+ * @param {object} [options]
+ * @param {number} [options.fromVersion]     The version the note was written with, if it does not say
+ * @param {object} [options.report]          Counts of what was changed
+ * @param {boolean} [options.checkImages=true]  Whether to check that photos can still be found
+ * @returns {Promise<object>}               The migrated note data
+ */
+export async function migrateNoteData(data, { fromVersion, report = createReport(), checkImages = true } = {}) {
+  let note = foundry.utils.deepClone(data);
+  const version = note.schemaVersion ?? fromVersion ?? 0;
+  for (let step = version + 1; step <= NOTE_SCHEMA_VERSION; step++) {
+    note = await MIGRATIONS[step](note, { report, checkImages });
+  }
+  note.schemaVersion = Math.max(version, NOTE_SCHEMA_VERSION);
+  return note;
+}
+
+export function needsMigration(note) {
+  return (note.schemaVersion ?? 0) < NOTE_SCHEMA_VERSION;
+}
+
+/**
+ * Migrate the notes of one scene, and remove strings tied to notes that no longer exist.
+ */
+async function migrateScene(scene, report) {
+  const notes = scene.flags[MODULE_ID]?.notes ?? {};
+  const changes = {};
+  let migrated = 0;
+  for (const [key, note] of Object.entries(notes)) {
+    // The note id must match the key it is stored under.
+    const outdated = needsMigration(note) || (note.id !== key);
+    if (!outdated) continue;
+    changes[`flags.${MODULE_ID}.notes.${key}`] = await migrateNoteData(addHiddenContents(scene, { ...note, id: key }), { report });
+    migrated += 1;
+  }
+  for (const connection of Object.values(scene.flags[MODULE_ID]?.connections ?? {})) {
+    if (!notes[connection.from] || !notes[connection.to]) {
+      changes[`flags.${MODULE_ID}.connections.-=${connection.id}`] = null;
+      report.strings += 1;
+    }
+  }
+  if (foundry.utils.isEmpty(changes)) return;
+  await applyBoardChanges(scene, changes);
+  report.notes += migrated;
+  report.scenes += 1;
+}
+
+// Tell the GM what was changed, in a whisper that stays in the chat log.
+async function postReport(report) {
+  const lines = [
+    [report.types, "Types"],
+    [report.pins, "Pins"],
+    [report.images, "Images"],
+    [report.positions, "Positions"],
+    [report.fields, "Fields"],
+    [report.strings, "Strings"],
+  ].filter(([count]) => count).map(([count, key]) => `<li>${game.i18n.format(`INVESTIGATION_BOARD.Migration.${key}`, { count })}</li>`);
+  const missing = [...new Set(report.missingImages)].map(src => `<li><code>${foundry.utils.escapeHTML(src)}</code></li>`);
+  await ChatMessage.create({
+    content: `<div class="investigation-migration-report">
+      <h3>${game.i18n.localize("INVESTIGATION_BOARD.Migration.Title")}</h3>
+      <p>${game.i18n.format("INVESTIGATION_BOARD.Migration.Updated", { notes: report.notes, scenes: report.scenes })}</p>
+      ${lines.length ? `<ul>${lines.join("")}</ul>` : ""}
+      ${missing.length ? `<p>${game.i18n.localize("INVESTIGATION_BOARD.Migration.MissingImages")}</p><ul>${missing.join("")}</ul>` : ""}
+    </div>`,
+    whisper: ChatMessage.getWhisperRecipients("GM").map(u => u.id),
+  });
+}
+
+/**
+ * Move notes created by earlier versions, which were Drawing documents carrying the module's flags,
+ * onto the Investigation Board layer. The drawing id is kept as the note id so red strings stay attached.
+ * @returns {Promise<number>}  The number of notes moved
+ */
+async function migrateSceneDrawings(scene) {
+  const drawings = scene.drawings.filter(d => d.flags[MODULE_ID]);
+  if (!drawings.length) return 0;
+
+  const changes = {};
+  for (const drawing of drawings) {
+    const flags = foundry.utils.deepClone(drawing.flags[MODULE_ID]);
+    changes[`flags.${MODULE_ID}.notes.${drawing.id}`] = {
+      ...flags,
+      id: drawing.id,
+      type: flags.type || "sticky",
+      x: Math.round(drawing.x),
+      y: Math.round(drawing.y),
+    };
+  }
+  await scene.update(changes);
+  await scene.deleteEmbeddedDocuments("Drawing", drawings.map(d => d.id));
+  return drawings.length;
+}
+
+function reportDrawingsMoved(notes, scenes) {
+  if (!notes) return;
+  ui.notifications.info(game.i18n.format("INVESTIGATION_BOARD.Migration.DrawingsMoved", { notes, scenes }));
+}
+
+// Move the drawing notes of every scene onto the Investigation Board layer.
+export async function migrateDrawingNotes() {
+  let migratedNotes = 0;
+  let migratedScenes = 0;
+  for (const scene of game.scenes) {
+    const moved = await migrateSceneDrawings(scene);
+    if (!moved) continue;
+    migratedNotes += moved;
+    migratedScenes += 1;
+  }
+  reportDrawingsMoved(migratedNotes, migratedScenes);
+}
+
+/**
+ * Bring every scene's notes up to the current schema version, showing progress in the loading bar.
+ * Runs on the active GM's client when the world loads, if the world has not been migrated yet.
+ */
+export async function runMigrations() {
+  if (!game.users.activeGM?.isSelf) return;
+  await migrateDrawingNotes();
+  if (game.settings.get(MODULE_ID, "schemaVersion") >= NOTE_SCHEMA_VERSION) return;
+
+  const scenes = game.scenes.filter(scene => scene.flags[MODULE_ID]);
+  const report = createReport();
+  const label = game.i18n.localize("INVESTIGATION_BOARD.Migration.Progress");
+  for (const [index, scene] of scenes.entries()) {
+    SceneNavigation.displayProgressBar({ label, pct: Math.round((index / scenes.length) * 100) });
+    try {
+      await migrateScene(scene, report);
+    } catch (err) {
+      console.error(`Investigation Board: Could not update the notes on scene "${scene.name}".`, err);
+      ui.notifications.error(game.i18n.format("INVESTIGATION_BOARD.Migration.Failed", { scene: scene.name }));
+      return;
+    }
+  }
+  SceneNavigation.displayProgressBar({ label, pct: 100 });
+  await game.settings.set(MODULE_ID, "schemaVersion", NOTE_SCHEMA_VERSION);
+  if (report.scenes) await postReport(report);
+}
+
+// Scenes created later, e.g. from a compendium or an adventure, may hold notes written by an older version.
+Hooks.on("createScene", async scene => {
+  if (!game.users.activeGM?.isSelf) return;
+  reportDrawingsMoved(await migrateSceneDrawings(scene), 1);
+  if (!scene.flags[MODULE_ID]) return;
+  const report = createReport();
+  await migrateScene(scene, report);
+  if (report.scenes) await postReport(report);
+});
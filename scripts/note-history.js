@@ -0,0 +1,207 @@
+import { MODULE_ID } from "./constants.js";
+import { NOTE_TYPE_ICONS, getNoteTitle } from "./board-overview.js";
+import { getHiddenData } from "./hidden-notes.js";
+import { getNote, getNotes } from "./notes.js";
+import { requestSceneUpdate } from "./socket.js";
+
+/*
+ * Edit history and the trash, both kept on the scene next to the notes:
+ * flags.investigation-board.revisions = { [noteId]: [{ user, time, text, fields, identityName }] }, oldest first,
+ *   where each entry records who changed the note, when, and what it said before;
+ * flags.investigation-board.trash = { [noteId]: { note, connections, revisions, user, time } } for deleted notes.
+ * Those of notes that are not public are kept with the notes' contents instead (see hidden-notes.js).
+ */
+
+const MAX_REVISIONS = 20;
+const MAX_TRASH = 50;
+
+// The note fields whose earlier values are kept.
+const REVISION_FIELDS = ["text", "fields", "identityName"];
+
+export function getRevisions(id, scene = canvas.scene) {
+  return scene?.flags[MODULE_ID]?.revisions?.[id] ?? getHiddenData(scene).revisions?.[id] ?? [];
+}
+
+export function getTrash(scene = canvas.scene) {
+  const trash = { ...getHiddenData(scene).trash, ...scene?.flags[MODULE_ID]?.trash };
+  return Object.values(trash).sort((a, b) => b.time - a.time);
+}
+
+// A readable name for the user who made a change, even if they have since been deleted.
+export function getAuthorName(userId) {
+  return game.users.get(userId)?.name ?? game.i18n.localize("INVESTIGATION_BOARD.Trash.UnknownUser");
+}
+
+/**
+ * The scene changes that record a revision of a note, if an update changes its text or fields.
+ * Used by updateNotes, so that every edit is attributed to the user who made it.
+ */
+export function getRevisionChanges(scene, id, update) {
+  const note = getNote(id, scene);
+  if (!note) return {};
+  const changed = REVISION_FIELDS.some(field => (field in update) && !foundry.utils.objectsEqual({ v: note[field] ?? null }, { v: update[field] ?? null }));
+  if (!changed) return {};
+  const revision = { user: game.user.id, time: Date.now() };
+  for (const field of REVISION_FIELDS) {
+    if (note[field] !== undefined) revision[field] = foundry.utils.deepClone(note[field]);
+  }
+  const revisions = [...getRevisions(id, scene), revision].slice(-MAX_REVISIONS);
+  return { [`flags.${MODULE_ID}.revisions.${id}`]: revisions };
+}
+
+/**
+ * The trash entry of a note about to be deleted by a user, without the time: the note, its strings and its history.
+ */
+export function getTrashEntry(scene, id, userId = game.user.id) {
+  const note = getNote(id, scene);
+  if (!note) return null;
+  const connections = Object.values(scene?.flags[MODULE_ID]?.connections ?? {});
+  return {
+    note,
+    connections: connections.filter(c => (c.from === id) || (c.to === id)),
+    revisions: getRevisions(id, scene),
+    user: userId,
+  };
+}
+
+/**
+ * The scene changes that move deleted notes to the trash, along with their strings and history.
+ * Used by deleteNotes. Once the trash is full a GM also drops the oldest notes in it; players cannot remove
+ * anything from the trash, so the GM who applies their deletions does it for them (see socket.js).
+ */
+export function getTrashChanges(scene, ids) {
+  const changes = {};
+  const time = Date.now();
+  const trashed = [];
+  for (const id of ids) {
+    const entry = getTrashEntry(scene, id);
+    if (!entry) continue;
+    changes[`flags.${MODULE_ID}.trash.${id}`] = { ...entry, time };
+    changes[`flags.${MODULE_ID}.revisions.-=${id}`] = null;
+    trashed.push(id);
+  }
+  if (game.user.isGM) Object.assign(changes, getTrashOverflowChanges(scene, trashed));
+  return changes;
+}
+
+// The scene changes that drop the oldest notes from the trash to make room for the given ones.
+export function getTrashOverflowChanges(scene, ids) {
+  const changes = {};
+  const overflow = getTrash(scene).filter(entry => !ids.includes(entry.note.id)).slice(Math.max(MAX_TRASH - ids.length, 0));
+  for (const entry of overflow) changes[`flags.${MODULE_ID}.trash.-=${entry.note.id}`] = null;
+  return changes;
+}
+
+/**
+ * Put a note's text and fields back as they were before one of its revisions.
+ * The restore is itself recorded as a revision, so it can be undone the same way.
+ */
+export async function restoreRevision(scene, id, index) {
+  const revision = getRevisions(id, scene)[index];
+  if (!revision || !getNote(id, scene)) return;
+  const update = {};
+  for (const field of REVISION_FIELDS) update[field] = revision[field] ?? null;
+  // Updates merge into the note, which would keep card fields filled in since the revision, so the old fields
+  // are deleted first. The deletion has to come before the new value: the keys are applied in order.
+  await requestSceneUpdate(scene, {
+    ...getRevisionChanges(scene, id, update),
+    [`flags.${MODULE_ID}.notes.${id}`]: { "-=fields": null, ...update },
+  });
+}
+
+/**
+ * Take notes back out of the trash, with their history and the strings to notes still on the board.
+ */
+export async function restoreNotes(scene, ids) {
+  const trash = Object.fromEntries(getTrash(scene).map(entry => [entry.note.id, entry]));
+  const restored = new Set(ids.filter(id => trash[id]));
+  const onBoard = new Set([...getNotes(scene).map(n => n.id), ...restored]);
+  const changes = {};
+  for (const id of restored) {
+    const { note, connections = [], revisions = [] } = trash[id];
+    changes[`flags.${MODULE_ID}.notes.${id}`] = note;
+    if (revisions.length) changes[`flags.${MODULE_ID}.revisions.${id}`] = revisions;
+    for (const connection of connections) {
+      if (onBoard.has(connection.from) && onBoard.has(connection.to)) {
+        changes[`flags.${MODULE_ID}.connections.${connection.id}`] = connection;
+      }
+    }
+    changes[`flags.${MODULE_ID}.trash.-=${id}`] = null;
+  }
+  if (foundry.utils.isEmpty(changes)) return;
+  await requestSceneUpdate(scene, changes);
+}
+
+// Delete notes from the trash for good, or all of them.
+export async function purgeTrash(scene, ids = getTrash(scene).map(entry => entry.note.id)) {
+  const changes = {};
+  for (const id of ids) changes[`flags.${MODULE_ID}.trash.-=${id}`] = null;
+  if (foundry.utils.isEmpty(changes)) return;
+  await requestSceneUpdate(scene, changes);
+}
+
+/**
+ * Lists the notes deleted from the current scene, for a GM to restore or delete for good.
+ */
+export class NoteTrash extends Application {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "investigation-board-trash",
+      classes: ["investigation-board-trash"],
+      template: "modules/investigation-board/templates/note-trash.html",
+      title: "INVESTIGATION_BOARD.Controls.DeletedNotes",
+      width: 360,
+      height: 480,
+      resizable: true,
+    });
+  }
+
+  getData(options) {
+    return {
+      entries: getTrash(canvas.scene).map(entry => ({
+        id: entry.note.id,
+        icon: NOTE_TYPE_ICONS[entry.note.type],
+        title: getNoteTitle(entry.note),
+        deletedBy: getAuthorName(entry.user),
+        deletedAt: new Date(entry.time).toLocaleString(),
+      })),
+    };
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find(".trash-restore").click(ev => {
+      ev.preventDefault();
+      restoreNotes(canvas.scene, [ev.currentTarget.closest("[data-note-id]").dataset.noteId]);
+    });
+    html.find(".trash-purge").click(ev => {
+      ev.preventDefault();
+      purgeTrash(canvas.scene, [ev.currentTarget.closest("[data-note-id]").dataset.noteId]);
+    });
+    html.find(".trash-empty").click(async ev => {
+      ev.preventDefault();
+      const confirmed = await Dialog.confirm({
+        title: game.i18n.localize("INVESTIGATION_BOARD.Trash.EmptyTrash"),
+        content: `<p>${game.i18n.localize("INVESTIGATION_BOARD.Trash.EmptyConfirm")}</p>`,
+      });
+      if (confirmed) await purgeTrash(canvas.scene);
+    });
+  }
+}
+
+let trashApp = null;
+
+export function openNoteTrash() {
+  trashApp ??= new NoteTrash();
+  return trashApp.render(true);
+}
+
+// Keep the trash list current while it is open.
+Hooks.on("updateScene", (scene, changes) => {
+  if ((scene.id !== canvas.scene?.id) || !trashApp?.rendered) return;
+  if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}`)) trashApp.render();
+});
+
+Hooks.on("canvasReady", () => {
+  if (trashApp?.rendered) trashApp.render();
+});
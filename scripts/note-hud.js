@@ -0,0 +1,71 @@
+import { CLUE_STATUSES, setClueStatus } from "./clue-status.js";
+
+/**
+ * A small HUD shown over a note when it is right-clicked, for changing its clue status without opening the sheet.
+ * Like the token HUD, it lives in the canvas HUD container, so its position is given in canvas pixels.
+ */
+export class NoteHUD extends Application {
+  constructor(options) {
+    super(options);
+    this.note = null;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "investigation-note-hud",
+      template: "modules/investigation-board/templates/note-hud.html",
+      popOut: false,
+    });
+  }
+
+  bind(note) {
+    this.note = note;
+    return this.render(true);
+  }
+
+  getData(options) {
+    const current = this.note?.data.status ?? "";
+    return {
+      statuses: Object.entries(CLUE_STATUSES).map(([id, status]) => ({
+        id,
+        ...status,
+        label: game.i18n.localize(status.label),
+        active: id === current,
+      })),
+    };
+  }
+
+  setPosition() {
+    if (!this.note || !this.element.length) return;
+    this.element.css({
+      left: this.note.x,
+      top: this.note.y,
+      width: this.note.noteWidth,
+      height: this.note.noteHeight,
+    });
+  }
+
+  _injectHTML(html) {
+    canvas.hud.element.append(html);
+    this._element = html;
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find("[data-status]").click(async ev => {
+      ev.preventDefault();
+      const status = ev.currentTarget.dataset.status;
+      const note = this.note;
+      // The status applies to every selected note when the clicked note is one of them.
+      const layer = canvas.investigationBoard;
+      const notes = layer.controlled.has(note) ? [...layer.controlled].filter(n => n.canEdit) : [note];
+      // Clicking the active status clears it.
+      await setClueStatus(canvas.scene, notes.map(n => n.id), note.data.status === status ? null : status);
+    });
+  }
+
+  async close(options) {
+    this.note = null;
+    return super.close(options);
+  }
+}
@@ -0,0 +1,301 @@
+import { MODULE_ID } from "./constants.js";
+import { NOTE_TYPE_LABELS } from "./board-overview.js";
+import { getCardTemplate, getCardText } from "./card-templates.js";
+import { shareNoteToChat } from "./chat.js";
+import { CLUE_STATUSES } from "./clue-status.js";
+import { LINKABLE_TYPES, getLinkState, getLinkedDocumentName, openLinkedDocument } from "./linked-documents.js";
+import { getAuthorName, getRevisions, restoreRevision } from "./note-history.js";
+import { PIN_COLORS, getNote, updateNotes } from "./notes.js";
+import { PHOTO_FILTERS, PHOTO_FITS, fitPhoto } from "./photo-fit.js";
+import { richTextToHTML, richTextToPlain } from "./rich-text.js";
+import { getNoteLayout, hasIdentityName } from "./themes.js";
+import { VISIBILITY_MODES } from "./visibility.js";
+
+/**
+ * Configuration sheet for a note on the Investigation Board layer.
+ * The sheet's object is the note data; it is re-read from the scene each time the sheet renders.
+ */
+export class InvestigationNoteSheet extends FormApplication {
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["custom-drawing-sheet"],
+      template: "modules/investigation-board/templates/drawing-sheet.html",
+      width: 400,
+      height: "auto",
+      title: "INVESTIGATION_BOARD.Sheet.Title",
+      closeOnSubmit: true,
+      dragDrop: [{ dropSelector: ".linked-document" }, { dropSelector: "textarea[name='text']" }],
+    });
+  }
+
+  getData(options) {
+    this.object = getNote(this.object.id) ?? this.object;
+    const data = super.getData(options);
+    data.noteType = this.object.type || "sticky";
+    // Card template fields, in a form generated from the template
+    const template = getCardTemplate(this.object.template);
+    data.cardTemplate = template?.label ?? "";
+    data.fields = (template?.fields ?? []).map(field => ({
+      ...field,
+      value: this.object.fields?.[field.key] ?? "",
+    }));
+    data.text = this.object.text ?? "";
+    if (!template && !data.text) data.text = game.i18n.localize("INVESTIGATION_BOARD.Sheet.DefaultText");
+    data.preview = richTextToHTML(data.text);
+    data.image = this.object.image || "modules/investigation-board/assets/placeholder.webp";
+
+    // How the photo sits in its frame. The crop preview has the shape of the frame's photo window.
+    const photoWindow = getNoteLayout("photo", undefined, { size: this.object.size }).photo;
+    data.photoAspect = photoWindow ? `${photoWindow.width} / ${photoWindow.height}` : "1";
+    data.photoFit = this.object.photoFit || "cover";
+    data.photoFits = PHOTO_FITS;
+    data.photoZoom = this.object.photoZoom || 1;
+    data.photoFocus = this.object.photoFocus ?? { x: 0.5, y: 0.5 };
+    data.photoFilter = this.object.photoFilter || "none";
+    data.photoFilters = PHOTO_FILTERS;
+
+    // Pass along the extra identityName for themes with a name field
+    data.identityName = this.object.identityName || "";
+
+    // Linked document, shown by name when it can still be resolved
+    data.linkedUuid = this.object.linkedUuid || "";
+    data.linkState = getLinkState(data.linkedUuid);
+    data.linkedName = data.linkState === "linked" ? getLinkedDocumentName(data.linkedUuid) : "";
+
+    // Only show the Identity Name field if the board theme has room for it
+    data.hasIdentityName = hasIdentityName();
+
+    // Appearance overrides; empty fields follow the world settings
+    data.tint = this.object.tint || "";
+    data.pinColor = this.object.pinColor ?? "";
+    data.pinColors = {
+      ...Object.fromEntries(PIN_COLORS.map(file => [file, `INVESTIGATION_BOARD.PinColors.${file.replace("Pin.webp", "")}`])),
+      none: "INVESTIGATION_BOARD.PinColors.none",
+    };
+    data.font = this.object.font || "";
+    data.fonts = game.settings.settings.get(`${MODULE_ID}.font`).choices;
+    data.fontSize = this.object.fontSize || "";
+    data.size = this.object.size || 1;
+    data.rotation = this.object.rotation || 0;
+
+    data.date = this.object.date || "";
+
+    data.status = this.object.status || "";
+    data.statuses = Object.fromEntries(Object.entries(CLUE_STATUSES).map(([id, status]) => [id, status.label]));
+
+    // Visibility can only be changed by a GM
+    data.isGM = game.user.isGM;
+    data.visibility = this.object.visibility || "public";
+    data.visibilityModes = VISIBILITY_MODES;
+    data.players = game.users.filter(u => !u.isGM).map(u => ({
+      id: u.id,
+      name: u.name,
+      selected: (this.object.players ?? []).includes(u.id),
+    }));
+
+    // Earlier versions of the text, newest first
+    data.revisions = getRevisions(this.object.id).map((revision, index) => ({
+      index,
+      author: getAuthorName(revision.user),
+      time: new Date(revision.time).toLocaleString(),
+      text: richTextToPlain(getCardText({ ...this.object, ...revision })),
+    })).reverse();
+
+    data.noteTypes = NOTE_TYPE_LABELS;
+    return data;
+  }
+
+
+  async _updateObject(event, formData) {
+    const updates = {
+      id: this.object.id,
+      text: formData.text,
+    };
+    if (formData.image !== undefined) {
+      updates.image = formData.image || "modules/investigation-board/assets/placeholder.webp";
+    }
+    if (formData.photoFit !== undefined) {
+      updates.photoFit = formData.photoFit;
+      updates.photoZoom = formData.photoZoom || 1;
+      updates.photoFocus = { x: formData["photoFocus.x"] ?? 0.5, y: formData["photoFocus.y"] ?? 0.5 };
+      updates.photoFilter = formData.photoFilter === "none" ? null : formData.photoFilter;
+    }
+    if (formData.identityName !== undefined) {
+      updates.identityName = formData.identityName;
+    }
+    if (formData.linkedUuid !== undefined) {
+      updates.linkedUuid = formData.linkedUuid.trim();
+    }
+    if (formData.pinColor !== undefined) {
+      updates.tint = formData.tint || null;
+      updates.pinColor = formData.pinColor || null;
+      updates.font = formData.font || null;
+      updates.fontSize = formData.fontSize || null;
+      updates.size = formData.size || 1;
+      updates.rotation = formData.rotation || 0;
+    }
+
+    const template = getCardTemplate(this.object.template);
+    if (template) {
+      updates.fields = Object.fromEntries(template.fields.map(field => [field.key, formData[`fields.${field.key}`] ?? ""]));
+    }
+    if (formData.date !== undefined) {
+      updates.date = formData.date || null;
+    }
+    if (formData.status !== undefined) {
+      updates.status = formData.status || null;
+    }
+
+    if (game.user.isGM && formData.visibility) {
+      updates.visibility = formData.visibility;
+      updates.players = game.users.filter(u => formData[`players.${u.id}`]).map(u => u.id);
+    }
+
+    await updateNotes(canvas.scene, [updates]);
+  }
+
+  // Add activateListeners to hook up the file-picker button.
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find(".file-picker-button").click(ev => {
+      ev.preventDefault();
+      // Open Foundry's FilePicker for images; adjust the "current" directory if needed.
+      new FilePicker({
+        type: "image",
+        current: "modules/investigation-board/assets/",
+        callback: path => {
+          // Update the readonly input with the chosen image path.
+          html.find("input[name='image']").val(path);
+          html.find(".photo-editor img").attr("src", path);
+        }
+      }).browse();
+    });
+
+    html.find(".photo-focus-picker").click(ev => {
+      const bounds = ev.currentTarget.getBoundingClientRect();
+      const x = Math.clamp((ev.clientX - bounds.left) / bounds.width, 0, 1);
+      const y = Math.clamp((ev.clientY - bounds.top) / bounds.height, 0, 1);
+      html.find("input[name='photoFocus.x']").val(Math.round(x * 100) / 100);
+      html.find("input[name='photoFocus.y']").val(Math.round(y * 100) / 100);
+      this._refreshPhotoPreview(html);
+    });
+    html.find("[name='photoFit'], [name='photoZoom'], [name='photoFilter']").on("input change", () => this._refreshPhotoPreview(html));
+    html.find(".photo-editor img").on("load", () => this._refreshPhotoPreview(html));
+    this._refreshPhotoPreview(html);
+
+    html.find(".note-text-toolbar button").click(ev => {
+      ev.preventDefault();
+      this._applyFormat(html, ev.currentTarget.dataset.format);
+    });
+    html.find("textarea[name='text']").on("input", () => this._refreshPreview(html));
+
+    html.find(".note-tilt-random").click(ev => {
+      ev.preventDefault();
+      const input = html.find("input[name='rotation']");
+      input.val(Math.round((Math.random() * 8 - 4) * 2) / 2).trigger("change");
+    });
+    html.find(".note-tint-clear").click(ev => {
+      ev.preventDefault();
+      html.find("input[name='tint']").val("");
+      html.find("input[data-edit='tint']").val("#ffffff");
+    });
+
+    html.find("select[name='visibility']").change(ev => {
+      html.find(".note-players").toggle(ev.currentTarget.value === "players");
+      this.setPosition({ height: "auto" });
+    });
+
+    html.find(".note-share").click(ev => {
+      ev.preventDefault();
+      const note = getNote(this.object.id);
+      if (note) shareNoteToChat(note);
+    });
+
+    html.find(".note-revision-restore").click(ev => {
+      ev.preventDefault();
+      restoreRevision(canvas.scene, this.object.id, Number(ev.currentTarget.dataset.index));
+    });
+
+    html.find(".linked-document-open").click(ev => {
+      ev.preventDefault();
+      openLinkedDocument(html.find("input[name='linkedUuid']").val());
+    });
+    html.find(".linked-document-clear").click(ev => {
+      ev.preventDefault();
+      html.find("input[name='linkedUuid']").val("");
+      html.find(".linked-document-name").text("");
+    });
+  }
+
+  // Show the crop the note will get, and where its focal point is, as the photo settings are changed.
+  _refreshPhotoPreview(html) {
+    const editor = html.find(".photo-editor")[0];
+    if (!editor) return;
+    const image = editor.querySelector(".photo-crop-preview img");
+    const frame = image.parentElement;
+    const focus = {
+      x: Number(html.find("input[name='photoFocus.x']").val()),
+      y: Number(html.find("input[name='photoFocus.y']").val()),
+    };
+    const placement = fitPhoto(
+      { width: image.naturalWidth, height: image.naturalHeight },
+      { x: 0, y: 0, width: frame.clientWidth, height: frame.clientHeight },
+      { fit: html.find("[name='photoFit']").val(), zoom: Number(html.find("[name='photoZoom']").val()), focus }
+    );
+    Object.assign(image.style, {
+      left: `${placement.x}px`,
+      top: `${placement.y}px`,
+      width: `${placement.width}px`,
+      height: `${placement.height}px`,
+    });
+    const filter = html.find("[name='photoFilter']").val();
+    for (const img of editor.querySelectorAll("img")) img.dataset.filter = filter;
+    Object.assign(editor.querySelector(".photo-focus-marker").style, { left: `${focus.x * 100}%`, top: `${focus.y * 100}%` });
+  }
+
+  // Wrap the selected text of the note in formatting markup.
+  _applyFormat(html, format) {
+    const textarea = html.find("textarea[name='text']")[0];
+    const { selectionStart: start, selectionEnd: end, value } = textarea;
+    const selected = value.slice(start, end);
+    let replacement;
+    switch (format) {
+      case "bold": replacement = `**${selected}**`; break;
+      case "italic": replacement = `*${selected}*`; break;
+      case "strike": replacement = `~~${selected}~~`; break;
+      case "color": replacement = `[color=${html.find(".note-text-color").val()}]${selected}[/color]`; break;
+      case "list": replacement = selected.split("\n").map(line => `- ${line.replace(/^\s*[-*]\s+/, "")}`).join("\n"); break;
+      default: return;
+    }
+    textarea.setRangeText(replacement, start, end, "select");
+    textarea.focus();
+    this._refreshPreview(html);
+  }
+
+  _refreshPreview(html) {
+    html.find(".note-text-preview").html(richTextToHTML(html.find("textarea[name='text']").val()));
+  }
+
+  _canDragDrop(selector) {
+    return this.isEditable;
+  }
+
+  // Link a document dropped from the sidebar onto the Linked Document field, or insert a link into the text.
+  _onDrop(event) {
+    const data = TextEditor.getDragEventData(event);
+    if (!LINKABLE_TYPES.includes(data.type) || !data.uuid) {
+      ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Sheet.LinkTypes"));
+      return;
+    }
+    const html = $(this.form);
+    const textarea = event.target.closest("textarea[name='text']");
+    if (textarea) {
+      const link = `@UUID[${data.uuid}]{${getLinkedDocumentName(data.uuid) || data.type}}`;
+      textarea.setRangeText(link, textarea.selectionStart, textarea.selectionEnd, "end");
+      this._refreshPreview(html);
+      return;
+    }
+    html.find("input[name='linkedUuid']").val(data.uuid);
+    html.find(".linked-document-name").text(getLinkedDocumentName(data.uuid));
+  }
+}
@@ -0,0 +1,304 @@
+import { MODULE_ID } from "./constants.js";
+import { addHiddenContents, getUpdatedScenes } from "./hidden-notes.js";
+import { NOTE_SCHEMA_VERSION } from "./migration.js";
+import { getRevisionChanges, getTrashChanges } from "./note-history.js";
+import { requestSceneUpdate } from "./socket.js";
+import { getNoteLayout, hasIdentityName } from "./themes.js";
+import { getDefaultVisibility, getVisibleNote } from "./visibility.js";
+
+/*
+ * Notes are stored on the scene as flags.investigation-board.notes = { [id]: noteData },
+ * where noteData holds { id, type, text, image, identityName, pinColor, linkedUuid, visibility, players, x, y }
+ * and optionally `flags`, which other modules may use to store their own data: { [moduleId]: { ... } }.
+ * Notes made from a card template also hold `template` and `fields` (see card-templates.js).
+ * A note can override its appearance with `tint`, `font`, `fontSize`, `size` (a factor of the note width setting)
+ * and `rotation` (in degrees);
+ * a pinColor of "none" removes its pin.
+ * Photo notes can set how their image is fitted and filtered (see photo-fit.js).
+ * An in-game `date` ("YYYY-MM-DDTHH:MM") places the note on the timeline (see timeline.js).
+ * Edits to the text are recorded, and deleted notes kept in a trash (see note-history.js).
+ * Each note records the `schemaVersion` it was written with, so older notes can be migrated (see migration.js).
+ * What notes that are not public say is kept off the scene (see hidden-notes.js); getNotes and getNote fill it in.
+ * Every write goes through requestSceneUpdate so that players can edit the board too.
+ */
+
+export const PIN_COLORS = ["redPin.webp", "bluePin.webp", "yellowPin.webp", "greenPin.webp"];
+
+// The pin a new note gets from the Pin Color setting. With "No Pins" the note is left without one.
+function choosePinColor() {
+  const setting = game.settings.get(MODULE_ID, "pinColor");
+  if (setting === "none") return undefined;
+  if (setting === "random") return PIN_COLORS[Math.floor(Math.random() * PIN_COLORS.length)];
+  return `${setting}Pin.webp`;
+}
+
+// Notes without a stored pin color, such as those moved from drawings, get a stable one derived from their id.
+export function getPinColor(noteData) {
+  if (noteData.pinColor) return noteData.pinColor;
+  const setting = game.settings.get(MODULE_ID, "pinColor");
+  if (!["random", "none"].includes(setting)) return `${setting}Pin.webp`;
+  const hash = [...noteData.id].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return PIN_COLORS[hash % PIN_COLORS.length];
+}
+
+export function getNotes(scene = canvas.scene) {
+  return Object.values(scene?.flags[MODULE_ID]?.notes ?? {}).map(note => addHiddenContents(scene, note));
+}
+
+export function getNote(id, scene = canvas.scene) {
+  const note = scene?.flags[MODULE_ID]?.notes?.[id];
+  return note ? addHiddenContents(scene, note) : null;
+}
+
+// Size of a note type, or of a note with its own size factor.
+export function getNoteSize(noteType, { size } = {}) {
+  const { width, height } = getNoteLayout(noteType, undefined, { size });
+  return { width, height };
+}
+
+// Text of a new note: the world's default text setting for the type, or the default of the user's language.
+export function getDefaultText(noteType) {
+  const setting = game.settings.get(MODULE_ID, `${noteType}NoteDefaultText`);
+  return setting || game.i18n.localize(`INVESTIGATION_BOARD.DefaultText.${noteType}`);
+}
+
+// A slight random tilt, as if the note had been pinned up by hand.
+function chooseRotation() {
+  if (!game.settings.get(MODULE_ID, "randomTilt")) return undefined;
+  return Math.round((Math.random() * 8 - 4) * 2) / 2;
+}
+
+/**
+ * Write new notes to a scene. Each note gets an id and a pin color if it has none, the current schema version,
+ * and a random tilt if the Hand-Pinned Tilt setting is on.
+ * Returns the stored note data, or an empty list if the notes could not be saved.
+ */
+export async function createNotes(scene, notes) {
+  const changes = {};
+  const created = notes.map(data => {
+    const note = { ...data, id: data.id ?? foundry.utils.randomID(), schemaVersion: NOTE_SCHEMA_VERSION };
+    note.pinColor ??= choosePinColor();
+    if (!note.pinColor) delete note.pinColor;
+    note.rotation ??= chooseRotation();
+    if (note.rotation === undefined) delete note.rotation;
+    changes[`flags.${MODULE_ID}.notes.${note.id}`] = note;
+    return note;
+  });
+  const saved = await requestSceneUpdate(scene, changes);
+  return saved ? created : [];
+}
+
+// Apply partial changes to notes. Each update must carry the id of the note it changes.
+export async function updateNotes(scene, updates) {
+  const changes = {};
+  for (const { id, ...update } of updates) {
+    if (!getNote(id, scene)) continue;
+    changes[`flags.${MODULE_ID}.notes.${id}`] = update;
+    Object.assign(changes, getRevisionChanges(scene, id, update));
+  }
+  if (foundry.utils.isEmpty(changes)) return;
+  await requestSceneUpdate(scene, changes);
+}
+
+// Delete notes along with every red string tied to them. The notes go to the trash, where a GM can restore them.
+export async function deleteNotes(scene, ids) {
+  const deleted = new Set(ids);
+  const changes = getTrashChanges(scene, deleted);
+  for (const id of deleted) {
+    changes[`flags.${MODULE_ID}.notes.-=${id}`] = null;
+  }
+  const connections = Object.values(scene?.flags[MODULE_ID]?.connections ?? {});
+  for (const connection of connections) {
+    if (deleted.has(connection.from) || deleted.has(connection.to)) {
+      changes[`flags.${MODULE_ID}.connections.-=${connection.id}`] = null;
+    }
+  }
+  if (foundry.utils.isEmpty(changes)) return;
+  await requestSceneUpdate(scene, changes);
+}
+
+/**
+ * Turn notes face up for everyone. Only GMs can reveal notes.
+ */
+export async function revealNotes(scene, ids) {
+  if (!game.user.isGM) return;
+  await updateNotes(scene, ids.map(id => ({ id, visibility: "public" })));
+}
+
+export async function turnNotesFaceDown(scene, ids) {
+  if (!game.user.isGM) return;
+  await updateNotes(scene, ids.map(id => ({ id, visibility: "facedown" })));
+}
+
+// Delete every note on the scene, and with them every string. Like any deleted note, they go to the trash.
+export async function clearNotes(scene) {
+  await deleteNotes(scene, getNotes(scene).map(note => note.id));
+}
+
+// Where a note goes when no position is given: the middle of the view, or the cursor, on the viewed scene.
+function getSpawnPosition(scene) {
+  if (scene !== canvas.scene) return { x: scene.dimensions.width / 2, y: scene.dimensions.height / 2 };
+  if (game.settings.get(MODULE_ID, "spawnPosition") === "cursor") {
+    const { x, y } = canvas.mousePosition;
+    if (canvas.dimensions.rect.contains(x, y)) return { x, y };
+  }
+  return { x: canvas.stage.pivot.x, y: canvas.stage.pivot.y };
+}
+
+// Step a new note down and to the right until it no longer sits right on top of another note.
+function avoidStacking(scene, x, y) {
+  const STEP = 30;
+  const taken = getNotes(scene);
+  while (taken.some(note => (Math.abs(note.x - x) < STEP / 2) && (Math.abs(note.y - y) < STEP / 2))) {
+    x += STEP;
+    y += STEP;
+  }
+  return { x, y };
+}
+
+/**
+ * Create a note on the current scene, or on the given one.
+ * If a position is given, the note is centered on it. Otherwise it is placed in the middle of the view
+ * or at the cursor, as set in the module settings, and moved aside from any note already there.
+ * Unless `activate` is false, the board layer is activated so the new note can be worked with right away.
+ * Returns the stored note data, or nothing if the note could not be saved, e.g. because no GM is connected.
+ */
+export async function createNote(noteType, {
+  x, y, text, image, identityName, linkedUuid, visibility, players, pinColor, flags, template, fields, date,
+  scene = canvas.scene, activate = true,
+} = {}) {
+  if (!scene) {
+    console.error("Cannot create note: No active scene.");
+    return;
+  }
+
+  const { width, height } = getNoteSize(noteType);
+
+  let position;
+  if (x === undefined || y === undefined) {
+    const spawn = getSpawnPosition(scene);
+    position = avoidStacking(scene, Math.round(spawn.x - width / 2), Math.round(spawn.y - height / 2));
+  } else {
+    position = { x: x - width / 2, y: y - height / 2 };
+  }
+
+  const defaultText = getDefaultText(noteType);
+
+  // Include identityName if the board theme gives photo notes a name field
+  const extraFlags = {};
+  if (image) extraFlags.image = image;
+  if (linkedUuid) extraFlags.linkedUuid = linkedUuid;
+  if (pinColor) extraFlags.pinColor = pinColor;
+  if (players?.length) extraFlags.players = players;
+  if (flags) extraFlags.flags = flags;
+  if (date) extraFlags.date = date;
+  if (template) {
+    extraFlags.template = template;
+    extraFlags.fields = fields ?? {};
+  }
+  if (noteType === "photo" && hasIdentityName()) {
+    extraFlags.identityName = identityName ?? "";
+  }
+
+  const [note] = await createNotes(scene, [{
+    type: noteType,
+    text: text ?? defaultText,
+    x: Math.round(position.x),
+    y: Math.round(position.y),
+    visibility: visibility ?? getDefaultVisibility(),
+    ...extraFlags
+  }]);
+  if (!note) return;
+
+  if (activate && scene === canvas.scene) canvas.investigationBoard.activate();
+  return note;
+}
+
+/* -------------------------------------------- */
+/*  Hooks                                       */
+/* -------------------------------------------- */
+
+/*
+ * Every client fires hooks when notes change, whoever made the change:
+ *   investigationBoard.createNote (note, scene)
+ *   investigationBoard.updateNote (note, changes, scene)
+ *   investigationBoard.deleteNote (note, scene)
+ *   investigationBoard.reveal     (note, scene)   a hidden or face-down note became public
+ *   investigationBoard.connect    (connection, scene)
+ *   investigationBoard.disconnect (connection, scene)
+ * The hooks follow the board as the user sees it: a note coming into view is created and one going out of view
+ * is deleted, and face-down notes come without their contents for players (see getVisibleNote).
+ * Strings are only reported between notes the user can see.
+ * To tell what changed, the last known notes and connections of each scene are kept here.
+ */
+const snapshots = new Map();
+
+function takeSnapshot(scene) {
+  const notes = {};
+  const hidden = [];
+  for (const data of getNotes(scene)) {
+    const note = getVisibleNote(data);
+    if (note) notes[note.id] = note;
+    else hidden.push(data.id);
+  }
+  const connections = Object.fromEntries(Object.entries(scene.flags[MODULE_ID]?.connections ?? {})
+    .filter(([, connection]) => notes[connection.from] && notes[connection.to]));
+  const snapshot = foundry.utils.deepClone({ notes, connections, hidden });
+  snapshots.set(scene.id, snapshot);
+  return snapshot;
+}
+
+function diffEntries(before, after) {
+  const created = [];
+  const updated = [];
+  const deleted = [];
+  for (const [id, entry] of Object.entries(after)) {
+    if (!(id in before)) created.push(entry);
+    else if (!foundry.utils.objectsEqual(before[id], entry)) updated.push([before[id], entry]);
+  }
+  for (const [id, entry] of Object.entries(before)) {
+    if (!(id in after)) deleted.push(entry);
+  }
+  return { created, updated, deleted };
+}
+
+function callNoteHooks(scene) {
+  const before = snapshots.get(scene.id) ?? { notes: {}, connections: {}, hidden: [] };
+  const after = takeSnapshot(scene);
+
+  const notes = diffEntries(before.notes, after.notes);
+  for (const note of notes.created) {
+    Hooks.callAll("investigationBoard.createNote", note, scene);
+    if (before.hidden.includes(note.id) && note.visibility === "public") Hooks.callAll("investigationBoard.reveal", note, scene);
+  }
+  for (const [previous, note] of notes.updated) {
+    const changes = foundry.utils.diffObject(previous, note);
+    Hooks.callAll("investigationBoard.updateNote", note, changes, scene);
+    if (previous.visibility && previous.visibility !== "public" && note.visibility === "public") {
+      Hooks.callAll("investigationBoard.reveal", note, scene);
+    }
+  }
+  for (const note of notes.deleted) Hooks.callAll("investigationBoard.deleteNote", note, scene);
+
+  const connections = diffEntries(before.connections, after.connections);
+  for (const connection of connections.created) Hooks.callAll("investigationBoard.connect", connection, scene);
+  for (const connection of connections.deleted) Hooks.callAll("investigationBoard.disconnect", connection, scene);
+}
+
+Hooks.once("ready", () => {
+  for (const scene of game.scenes) takeSnapshot(scene);
+});
+
+Hooks.on("createScene", scene => takeSnapshot(scene));
+Hooks.on("deleteScene", scene => snapshots.delete(scene.id));
+Hooks.on("updateScene", (scene, changes) => {
+  if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}`)) callNoteHooks(scene);
+});
+
+// The contents of hidden notes can change without the scene changing.
+Hooks.on("updateJournalEntry", (entry, changes) => {
+  for (const id of getUpdatedScenes(entry, changes)) {
+    const scene = game.scenes.get(id);
+    if (scene) callNoteHooks(scene);
+  }
+});
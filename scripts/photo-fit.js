@@ -0,0 +1,74 @@
+/*
+ * How a photo note shows its image. A note can store `photoFit` (one of PHOTO_FITS, "cover" by default),
+ * `photoZoom` (1 or more), `photoFocus` ({ x, y } as fractions of the image size) and `photoFilter` (one of PHOTO_FILTERS).
+ */
+
+export const PHOTO_FITS = {
+  cover: "INVESTIGATION_BOARD.PhotoFits.cover",
+  contain: "INVESTIGATION_BOARD.PhotoFits.contain",
+  stretch: "INVESTIGATION_BOARD.PhotoFits.stretch",
+};
+
+// Filters that make photos from different sources look like one set.
+export const PHOTO_FILTERS = {
+  none: "INVESTIGATION_BOARD.PhotoFilters.none",
+  sepia: "INVESTIGATION_BOARD.PhotoFilters.sepia",
+  grayscale: "INVESTIGATION_BOARD.PhotoFilters.grayscale",
+  surveillance: "INVESTIGATION_BOARD.PhotoFilters.surveillance",
+};
+
+// Each filter is made once and shared between notes.
+const photoFilters = new Map();
+
+export function getPhotoFilters(name) {
+  if (!(name in PHOTO_FILTERS) || (name === "none")) return null;
+  if (!photoFilters.has(name)) {
+    const color = new PIXI.ColorMatrixFilter();
+    const filters = [color];
+    switch (name) {
+      case "sepia":
+        color.sepia();
+        break;
+      case "grayscale":
+        color.desaturate();
+        break;
+      case "surveillance":
+        // Washed-out green monochrome with grain, like a still from a security camera.
+        color.desaturate();
+        color.contrast(0.3, true);
+        color.tint(0xb8e6b0, true);
+        filters.push(new PIXI.NoiseFilter(0.25, 0.5));
+        break;
+    }
+    photoFilters.set(name, filters);
+  }
+  return photoFilters.get(name);
+}
+
+/**
+ * Size and place an image of the given size in a photo window. "cover" fills the window and crops what sticks out,
+ * "contain" shows the whole photo, and "stretch" squeezes it to the window as older versions did.
+ * Zooming crops further in; the focal point is kept as close to the middle of the window as it can be.
+ * @param {{width: number, height: number}} image
+ * @param {{x: number, y: number, width: number, height: number}} window
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function fitPhoto(image, window, { fit, zoom, focus } = {}) {
+  if (fit === "stretch") return { x: window.x, y: window.y, width: window.width, height: window.height };
+  const imageWidth = image.width || 1;
+  const imageHeight = image.height || 1;
+  const pick = fit === "contain" ? Math.min : Math.max;
+  const scale = pick(window.width / imageWidth, window.height / imageHeight) * Math.max(zoom || 1, 1);
+  const width = imageWidth * scale;
+  const height = imageHeight * scale;
+  const place = (start, size, extent, point) => {
+    if (extent <= size) return start + (size - extent) / 2;
+    return Math.clamp(start + size / 2 - point * extent, start + size - extent, start);
+  };
+  return {
+    x: place(window.x, window.width, width, focus?.x ?? 0.5),
+    y: place(window.y, window.height, height, focus?.y ?? 0.5),
+    width,
+    height,
+  };
+}
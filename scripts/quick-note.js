@@ -0,0 +1,87 @@
+import { createNote, getDefaultText, getNoteSize } from "./notes.js";
+
+/**
+ * A text box shown right on the canvas for jotting down a new note without opening its sheet.
+ * Enter creates the note where the box is, Shift+Enter starts a new line, and Escape throws the text away.
+ * Like the note HUD, it lives in the canvas HUD container, so its position is given in canvas pixels.
+ */
+export class QuickNoteEditor extends Application {
+  constructor(options) {
+    super(options);
+    this.noteType = null;
+    this.point = null;
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "investigation-quick-note",
+      template: "modules/investigation-board/templates/quick-note.html",
+      popOut: false,
+    });
+  }
+
+  /**
+   * Open the box for a new note of the given type, centered on a point of the canvas,
+   * or on the cursor when it is over the scene.
+   */
+  open(noteType, point) {
+    if (!point) {
+      const { x, y } = canvas.mousePosition;
+      point = canvas.dimensions.rect.contains(x, y) ? { x, y } : { x: canvas.stage.pivot.x, y: canvas.stage.pivot.y };
+    }
+    this.noteType = noteType;
+    this.point = point;
+    return this.render(true);
+  }
+
+  getData(options) {
+    return {
+      noteType: this.noteType,
+      placeholder: getDefaultText(this.noteType),
+    };
+  }
+
+  setPosition() {
+    if (!this.noteType || !this.element.length) return;
+    const { width, height } = getNoteSize(this.noteType);
+    this.element.css({
+      left: this.point.x - width / 2,
+      top: this.point.y - height / 2,
+      width,
+      height,
+    });
+  }
+
+  _injectHTML(html) {
+    canvas.hud.element.append(html);
+    this._element = html;
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+    const textarea = html.find("textarea");
+    textarea.on("keydown", ev => {
+      ev.stopPropagation();
+      if (ev.key === "Escape") {
+        ev.preventDefault();
+        this.close();
+      } else if ((ev.key === "Enter") && !ev.shiftKey) {
+        ev.preventDefault();
+        this._save(textarea.val());
+      }
+    });
+    textarea.focus();
+  }
+
+  async _save(text) {
+    const { noteType, point } = this;
+    await this.close();
+    await createNote(noteType, { ...point, text: text.trim() || undefined });
+  }
+
+  async close(options) {
+    this.noteType = null;
+    this.point = null;
+    return super.close(options);
+  }
+}
@@ -0,0 +1,276 @@
+import { getLinkedDocumentName, openLinkedDocument } from "./linked-documents.js";
+
+/*
+ * Note text supports a small formatting syntax:
+ *   **bold**   *italic*   ~~strike-through~~   [color=#c62828]colored[/color]
+ *   "- " or "* " at the start of a line for a bullet point
+ *   @UUID[Actor.abc123]{Label} for a link to a document
+ */
+
+const TOKEN_PATTERN = /(\*\*|~~|\*|\[color=[^\]]+\]|\[\/color\]|@UUID\[[^\]]+\](?:\{[^}]*\})?)/g;
+const LINK_PATTERN = /^@UUID\[([^\]]+)\](?:\{([^}]*)\})?$/;
+const BULLET_PATTERN = /^\s*[-*]\s+/;
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+)$/i;
+const LINK_COLOR = "#1a237e";
+const ELLIPSIS = "…";
+const LINE_HEIGHT = 1.25;
+
+function parseInline(text) {
+  const runs = [];
+  const state = { bold: false, italic: false, strike: false, colors: [] };
+  const push = (runText, extra = {}) => {
+    if (!runText) return;
+    runs.push({
+      text: runText,
+      bold: state.bold,
+      italic: state.italic,
+      strike: state.strike,
+      color: state.colors.at(-1) ?? null,
+      ...extra,
+    });
+  };
+
+  let last = 0;
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    push(text.slice(last, match.index));
+    last = match.index + match[0].length;
+    const token = match[0];
+    if (token === "**") state.bold = !state.bold;
+    else if (token === "*") state.italic = !state.italic;
+    else if (token === "~~") state.strike = !state.strike;
+    else if (token === "[/color]") state.colors.pop();
+    else if (token.startsWith("[color=")) {
+      const color = token.slice(7, -1).trim();
+      state.colors.push(COLOR_PATTERN.test(color) ? color : null);
+    } else {
+      const [, uuid, label] = token.match(LINK_PATTERN);
+      push(label || getLinkedDocumentName(uuid) || uuid, { uuid });
+    }
+  }
+  push(text.slice(last));
+  return runs;
+}
+
+/**
+ * Parse note text into lines of styled runs: [{ bullet, runs: [{ text, bold, italic, strike, color, uuid }] }].
+ */
+export function parseRichText(source = "") {
+  return String(source).split(/\r?\n/).map(line => {
+    const bullet = BULLET_PATTERN.test(line);
+    return { bullet, runs: parseInline(bullet ? line.replace(BULLET_PATTERN, "") : line) };
+  });
+}
+
+/**
+ * Strip the formatting from note text, keeping bullets and link labels.
+ */
+export function richTextToPlain(source = "") {
+  return parseRichText(source)
+    .map(line => (line.bullet ? "• " : "") + line.runs.map(r => r.text).join(""))
+    .join("\n");
+}
+
+/**
+ * Render note text as HTML, for previews and anywhere outside the canvas.
+ */
+export function richTextToHTML(source = "") {
+  const html = [];
+  let inList = false;
+  for (const line of parseRichText(source)) {
+    if (line.bullet && !inList) html.push("<ul>");
+    if (!line.bullet && inList) html.push("</ul>");
+    inList = line.bullet;
+
+    const content = line.runs.map(run => {
+      let part = foundry.utils.escapeHTML(run.text);
+      if (run.uuid) part = `<a class="content-link" data-uuid="${foundry.utils.escapeHTML(run.uuid)}"><i class="fas fa-link"></i>${part}</a>`;
+      if (run.bold) part = `<strong>${part}</strong>`;
+      if (run.italic) part = `<em>${part}</em>`;
+      if (run.strike) part = `<s>${part}</s>`;
+      if (run.color) part = `<span style="color: ${run.color}">${part}</span>`;
+      return part;
+    }).join("");
+    html.push(line.bullet ? `<li>${content}</li>` : `<p>${content || "&nbsp;"}</p>`);
+  }
+  if (inList) html.push("</ul>");
+  return html.join("");
+}
+
+function getRunStyle(baseStyle, run, cache) {
+  const key = `${run.bold}|${run.italic}|${run.color}|${!!run.uuid}`;
+  if (!cache.has(key)) {
+    const style = baseStyle.clone();
+    style.wordWrap = false;
+    if (run.bold) style.fontWeight = "bold";
+    if (run.italic) style.fontStyle = "italic";
+    if (run.uuid) style.fill = LINK_COLOR;
+    else if (run.color) style.fill = run.color;
+    cache.set(key, style);
+  }
+  return cache.get(key);
+}
+
+function countWords(lines) {
+  let count = 0;
+  for (const line of lines) {
+    for (const run of line.runs) count += run.text.split(/\s+/).filter(w => w).length;
+  }
+  return count;
+}
+
+/**
+ * Measure parsed note text, wrapping it to the given width.
+ * At most maxWords words are laid out; if text was left out, an ellipsis is appended.
+ */
+export function layoutRichText(lines, baseStyle, width, { maxWords = Infinity } = {}) {
+  const fontSize = baseStyle.fontSize;
+  const bulletIndent = fontSize * 1.2;
+  const styles = new Map();
+  const rows = [];
+  let words = 0;
+  let truncated = false;
+
+  const newRow = (indent, bullet) => {
+    const row = { items: [], indent, bullet, width: 0, height: fontSize * LINE_HEIGHT };
+    rows.push(row);
+    return row;
+  };
+
+  for (const line of lines) {
+    if (truncated) break;
+    const indent = line.bullet ? bulletIndent : 0;
+    let row = newRow(indent, line.bullet);
+    for (const run of line.runs) {
+      const style = getRunStyle(baseStyle, run, styles);
+      for (const word of run.text.split(/(\s+)/)) {
+        if (!word) continue;
+        const isSpace = !word.trim();
+        if (!isSpace && words >= maxWords) {
+          truncated = true;
+          break;
+        }
+        const metrics = PIXI.TextMetrics.measureText(word, style);
+        if (!isSpace && row.items.length && indent + row.width + metrics.width > width) {
+          row = newRow(indent, false);
+        }
+        if (isSpace && !row.items.length) continue;
+        row.items.push({ text: word, style, run, x: row.width, width: metrics.width, isSpace });
+        row.width += metrics.width;
+        row.height = Math.max(row.height, metrics.lineHeight);
+        if (!isSpace) words += 1;
+      }
+      if (truncated) break;
+    }
+  }
+
+  for (const row of rows) {
+    while (row.items.at(-1)?.isSpace) row.width -= row.items.pop().width;
+  }
+  if (truncated) {
+    const row = rows.at(-1);
+    const style = row.items.at(-1)?.style ?? getRunStyle(baseStyle, {}, styles);
+    const width = PIXI.TextMetrics.measureText(ELLIPSIS, style).width;
+    row.items.push({ text: ELLIPSIS, style, run: {}, x: row.width, width, isSpace: false });
+    row.width += width;
+  }
+
+  return {
+    rows,
+    truncated,
+    height: rows.reduce((sum, row) => sum + row.height, 0),
+    width: Math.max(0, ...rows.map(row => row.indent + row.width)),
+  };
+}
+
+/**
+ * Lay out note text inside a box. The font shrinks down to minFontSize first;
+ * only when it still does not fit is the text cut short with an ellipsis.
+ */
+export function fitRichText(source, baseStyle, area, minFontSize) {
+  const lines = parseRichText(source);
+  const style = baseStyle.clone();
+  const fits = layout => layout.height <= area.height && layout.width <= area.width;
+
+  const maxFontSize = Math.max(Math.floor(baseStyle.fontSize), 1);
+  let low = Math.min(Math.max(Math.floor(minFontSize), 1), maxFontSize);
+  let high = maxFontSize;
+  while (low < high) {
+    const size = Math.ceil((low + high) / 2);
+    style.fontSize = size;
+    if (fits(layoutRichText(lines, style, area.width))) low = size;
+    else high = size - 1;
+  }
+  style.fontSize = low;
+  const layout = layoutRichText(lines, style, area.width);
+  if (fits(layout)) return layout;
+
+  let fewest = 0;
+  let most = countWords(lines);
+  while (fewest < most) {
+    const words = Math.ceil((fewest + most) / 2);
+    if (fits(layoutRichText(lines, style, area.width, { maxWords: words }))) fewest = words;
+    else most = words - 1;
+  }
+  return layoutRichText(lines, style, area.width, { maxWords: fewest });
+}
+
+/**
+ * A block of formatted note text on the canvas. Links to documents can be clicked.
+ */
+export class RichTextBlock extends PIXI.Container {
+  /**
+   * Draw a layout produced by layoutRichText inside an area of the note.
+   */
+  draw(layout, area, { align = "center", valign = "middle" } = {}) {
+    for (const child of this.removeChildren()) child.destroy();
+    const anchorX = { left: 0, center: 0.5, right: 1 }[align] ?? 0.5;
+    const anchorY = { top: 0, middle: 0.5, bottom: 1 }[valign] ?? 0.5;
+    const strikes = new PIXI.Graphics();
+
+    let y = area.y + (area.height - layout.height) * anchorY;
+    for (const row of layout.rows) {
+      const x = area.x + row.indent + (area.width - row.indent - row.width) * anchorX;
+      if (row.bullet) {
+        const bullet = new PIXI.Text("•", row.items[0]?.style ?? undefined);
+        bullet.position.set(x - row.indent * 0.7, y);
+        this.addChild(bullet);
+      }
+
+      // Merge neighbouring words of the same run into one text object.
+      const pieces = [];
+      for (const item of row.items) {
+        const previous = pieces.at(-1);
+        if (previous && previous.run === item.run) {
+          previous.text += item.text;
+          previous.width += item.width;
+        } else {
+          pieces.push({ ...item });
+        }
+      }
+
+      for (const piece of pieces) {
+        const text = new PIXI.Text(piece.text, piece.style);
+        text.position.set(x + piece.x, y + (row.height - text.height));
+        this.addChild(text);
+
+        const color = piece.style.fill;
+        if (piece.run.strike) {
+          strikes.lineStyle(Math.max(1, piece.style.fontSize / 12), color, 1);
+          strikes.moveTo(text.x, text.y + text.height * 0.55).lineTo(text.x + piece.width, text.y + text.height * 0.55);
+        }
+        if (piece.run.uuid) {
+          strikes.lineStyle(1, color, 1);
+          strikes.moveTo(text.x, text.y + text.height * 0.9).lineTo(text.x + piece.width, text.y + text.height * 0.9);
+          text.eventMode = "static";
+          text.cursor = "pointer";
+          text.on("pointerdown", event => {
+            event.stopPropagation();
+            openLinkedDocument(piece.run.uuid);
+          });
+        }
+      }
+      y += row.height;
+    }
+    this.addChild(strikes);
+  }
+}
@@ -1,101 +1,105 @@
-export const MODULE_ID = "investigation-board";
+import { MODULE_ID } from "./constants.js";
+import { getThemeChoices } from "./themes.js";
+import { VISIBILITY_MODES } from "./visibility.js";
 
+/*
+ * The module's settings. The Custom Themes and Card Templates menus, and the settings they edit,
+ * are registered by theme-config.js and card-template-config.js, so that this module imports no applications.
+ */
 export const registerSettings = function() {
 
-    const refreshAllDrawings = () => {
-      if (canvas.drawings) {
-        canvas.drawings.placeables.forEach(drawing => {
-          if (drawing.document.flags[MODULE_ID]) {
-            drawing.refresh();
-          }
-        });
+    // Redraw the given parts of every note, or all of them. The board batches these requests.
+    const refreshAllNotes = (parts) => {
+      if (canvas.investigationBoard) {
+        canvas.investigationBoard.refreshNotes(parts);
       }
     };
   
     // Update the pinColor setting to include a "No Pins" option.
     game.settings.register(MODULE_ID, "pinColor", {
-      name: "Pin Color",
-      hint: "Choose the color of the pin for notes. Selecting 'Random' will randomly assign a pin color. Select 'No Pins' to disable pin display.",
+      name: "INVESTIGATION_BOARD.Settings.PinColor.Name",
+      hint: "INVESTIGATION_BOARD.Settings.PinColor.Hint",
       scope: "world",
       config: true,
       type: String,
       choices: {
-        random: "Random",
-        red: "Red",
-        blue: "Blue",
-        yellow: "Yellow",
-        green: "Green",
-        none: "No Pins"
+        random: "INVESTIGATION_BOARD.Settings.PinColor.Random",
+        red: "INVESTIGATION_BOARD.PinColors.red",
+        blue: "INVESTIGATION_BOARD.PinColors.blue",
+        yellow: "INVESTIGATION_BOARD.PinColors.yellow",
+        green: "INVESTIGATION_BOARD.PinColors.green",
+        none: "INVESTIGATION_BOARD.Settings.PinColor.None"
       },
       default: "random",
-      onChange: () => {
-        if (canvas.drawings) {
-          canvas.drawings.placeables.forEach(drawing => drawing.refresh());
-        }
-      }
+      onChange: () => refreshAllNotes(["pin"])
     });
   
-    // Register a new setting for board mode selection.
+    // Board theme selection. The choices are filled from the theme registry, which includes world and module themes.
     game.settings.register(MODULE_ID, "boardMode", {
-      name: "Board Mode",
-      hint: "Select the board mode to change the styling of notes.",
+      name: "INVESTIGATION_BOARD.Settings.BoardMode.Name",
+      hint: "INVESTIGATION_BOARD.Settings.BoardMode.Hint",
       scope: "world",
       config: true,
       type: String,
-      choices: {
-        modern: "Modern",
-        futuristic: "Futuristic",
-        custom: "Custom"
-      },
+      choices: getThemeChoices(),
       default: "modern",
-      onChange: () => refreshAllDrawings()
+      onChange: () => refreshAllNotes()
     });
-    
 
     // Register existing settings
     game.settings.register(MODULE_ID, "stickyNoteWidth", {
-        name: "Sticky Note Width",
-        hint: "The width (in pixels) for all newly created sticky notes (default: 200).",
+        name: "INVESTIGATION_BOARD.Settings.StickyNoteWidth.Name",
+        hint: "INVESTIGATION_BOARD.Settings.StickyNoteWidth.Hint",
         scope: "world",
         config: true,
         type: Number,
         default: 200,
-        onChange: () => refreshAllDrawings()
+        onChange: () => refreshAllNotes()
     });
 
     game.settings.register(MODULE_ID, "photoNoteWidth", {
-        name: "Photo Note Width",
-        hint: "The width (in pixels) for all newly created photo notes (default: 225).",
+        name: "INVESTIGATION_BOARD.Settings.PhotoNoteWidth.Name",
+        hint: "INVESTIGATION_BOARD.Settings.PhotoNoteWidth.Hint",
         scope: "world",
         config: true,
         type: Number,
         default: 225,
-        onChange: () => refreshAllDrawings()
+        onChange: () => refreshAllNotes()
     });
 
     game.settings.register(MODULE_ID, "indexNoteWidth", {
-        name: "Index Note Width",
-        hint: "The width (in pixels) for all newly created index cards (default: 600).",
+        name: "INVESTIGATION_BOARD.Settings.IndexNoteWidth.Name",
+        hint: "INVESTIGATION_BOARD.Settings.IndexNoteWidth.Hint",
         scope: "world",
         config: true,
         type: Number,
         default: 600,
-        onChange: () => refreshAllDrawings()
+        onChange: () => refreshAllNotes()
     });
 
     game.settings.register(MODULE_ID, "baseFontSize", {
-        name: "Base Font Size",
-        hint: "The font size (in pixels) for text when the note width is at its default size (default: 16).",
+        name: "INVESTIGATION_BOARD.Settings.BaseFontSize.Name",
+        hint: "INVESTIGATION_BOARD.Settings.BaseFontSize.Hint",
         scope: "world",
         config: true,
         type: Number,
         default: 16,
-        onChange: () => refreshAllDrawings()
+        onChange: () => refreshAllNotes(["text"])
+    });
+
+    game.settings.register(MODULE_ID, "minFontSize", {
+        name: "INVESTIGATION_BOARD.Settings.MinFontSize.Name",
+        hint: "INVESTIGATION_BOARD.Settings.MinFontSize.Hint",
+        scope: "world",
+        config: true,
+        type: Number,
+        default: 8,
+        onChange: () => refreshAllNotes(["text"])
     });
 
     game.settings.register(MODULE_ID, "font", {
-        name: "Font",
-        hint: "Choose the font to be used in notes.",
+        name: "INVESTIGATION_BOARD.Settings.Font.Name",
+        hint: "INVESTIGATION_BOARD.Settings.Font.Hint",
         scope: "world",
         config: true,
         type: String,
@@ -107,61 +111,112 @@ export const registerSettings = function() {
             "Arial": "Arial"
         },
         default: "Rock Salt",
-        onChange: () => refreshAllDrawings()
+        onChange: () => refreshAllNotes(["text"])
+    });
+
+    game.settings.register(MODULE_ID, "spawnPosition", {
+        name: "INVESTIGATION_BOARD.Settings.SpawnPosition.Name",
+        hint: "INVESTIGATION_BOARD.Settings.SpawnPosition.Hint",
+        scope: "client",
+        config: true,
+        type: String,
+        choices: {
+            view: "INVESTIGATION_BOARD.Settings.SpawnPosition.View",
+            cursor: "INVESTIGATION_BOARD.Settings.SpawnPosition.Cursor"
+        },
+        default: "view"
+    });
+
+    game.settings.register(MODULE_ID, "randomTilt", {
+        name: "INVESTIGATION_BOARD.Settings.RandomTilt.Name",
+        hint: "INVESTIGATION_BOARD.Settings.RandomTilt.Hint",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: false
     });
 
     game.settings.register(MODULE_ID, "characterNameKey", {
-        name: "Character Name Key",
-        hint: "Specify the key path to retrieve the name (e.g., 'prototypeToken.name' or 'system.alias' for Blades in the Dark). If empty, defaults to 'name'.",
+        name: "INVESTIGATION_BOARD.Settings.CharacterNameKey.Name",
+        hint: "INVESTIGATION_BOARD.Settings.CharacterNameKey.Hint",
         scope: "world",
         config: true,
         default: "prototypeToken.name",
         type: String,
       });
 
+    // Empty default texts follow the language of the user creating the note; see getDefaultText in notes.js.
     game.settings.register(MODULE_ID, "stickyNoteDefaultText", {
-        name: "Default Sticky Note Text",
-        hint: "The default text to use for new sticky notes.",
+        name: "INVESTIGATION_BOARD.Settings.StickyNoteDefaultText.Name",
+        hint: "INVESTIGATION_BOARD.Settings.StickyNoteDefaultText.Hint",
         scope: "world",
         config: true,
         type: String,
-        default: "Clue",
-        onChange: () => refreshAllDrawings()
+        default: ""
     });
 
     game.settings.register(MODULE_ID, "photoNoteDefaultText", {
-        name: "Default Photo Note Text",
-        hint: "The default text to use for new photo notes.",
+        name: "INVESTIGATION_BOARD.Settings.PhotoNoteDefaultText.Name",
+        hint: "INVESTIGATION_BOARD.Settings.PhotoNoteDefaultText.Hint",
         scope: "world",
         config: true,
         type: String,
-        default: "Suspect/Place",
-        onChange: () => refreshAllDrawings()
+        default: ""
     });
 
     game.settings.register(MODULE_ID, "indexNoteDefaultText", {
-        name: "Default Index Note Text",
-        hint: "The default text to use for new index notes.",
+        name: "INVESTIGATION_BOARD.Settings.IndexNoteDefaultText.Name",
+        hint: "INVESTIGATION_BOARD.Settings.IndexNoteDefaultText.Hint",
         scope: "world",
         config: true,
         type: String,
-        default: "Notes",
-        onChange: () => refreshAllDrawings()
+        default: ""
     });
 
-    // Register base font size and character limits
-    game.settings.register(MODULE_ID, "baseCharacterLimits", {
-        name: "Base Character Limits",
-        hint: "The base character limits for each font and note type. Edit this JSON to customize.",
+    game.settings.register(MODULE_ID, "defaultVisibility", {
+        name: "INVESTIGATION_BOARD.Settings.DefaultVisibility.Name",
+        hint: "INVESTIGATION_BOARD.Settings.DefaultVisibility.Hint",
         scope: "world",
-        config: false, // Hidden from the settings UI
-        type: Object,
-        default: {
-            "Rock Salt": { sticky: 90, photo: 20, index: 210 },
-            "Courier New": { sticky: 250, photo: 30, index: 580 },
-            "Times New Roman": { sticky: 200, photo: 30, index: 800 },
-            "Signika": { sticky: 200, photo: 30, index: 650 },
-            "Arial": { sticky: 200, photo: 30, index: 650 }
+        config: true,
+        type: String,
+        choices: VISIBILITY_MODES,
+        default: "public"
+    });
+
+    game.settings.register(MODULE_ID, "revealAnimation", {
+        name: "INVESTIGATION_BOARD.Settings.RevealAnimation.Name",
+        hint: "INVESTIGATION_BOARD.Settings.RevealAnimation.Hint",
+        scope: "world",
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    // Clue statuses this user has chosen to hide on the board.
+    game.settings.register(MODULE_ID, "hiddenStatuses", {
+        scope: "client",
+        config: false,
+        type: Array,
+        default: [],
+        onChange: () => {
+          if (canvas.ready) canvas.investigationBoard.syncNotes();
         }
     });
+
+    // Last color used for red-string connections, remembered per client.
+    game.settings.register(MODULE_ID, "connectionColor", {
+        scope: "client",
+        config: false,
+        type: String,
+        default: "#b71c1c"
+    });
+
+    // The note schema version the world's notes were last migrated to. See migration.js.
+    game.settings.register(MODULE_ID, "schemaVersion", {
+        scope: "world",
+        config: false,
+        type: Number,
+        default: 0
+    });
+
 };
@@ -0,0 +1,152 @@
+import { MODULE_ID } from "./constants.js";
+import { checkDeduction } from "./deductions.js";
+import { applyBoardChanges } from "./hidden-notes.js";
+import { getTrashEntry, getTrashOverflowChanges } from "./note-history.js";
+import { canEditNote } from "./visibility.js";
+
+const SOCKET_NAME = "module.investigation-board";
+
+// How long a player waits for the GM to answer before taking the changes as not saved, in milliseconds.
+const REPLY_TIMEOUT = 30000;
+
+// Players' changes waiting for the GM's answer, keyed by request id.
+const pendingUpdates = new Map();
+
+/**
+ * Apply an update to the module's flags on a scene.
+ * Players are not allowed to write to Scene documents, so their changes are relayed
+ * through the socket and applied by the active GM. GMs keep the contents of hidden notes off the scene.
+ * @returns {Promise<boolean>}  Whether the changes were saved: they are not if no GM is connected,
+ *                              or if the GM refused them or could not apply them.
+ */
+export async function requestSceneUpdate(scene, changes) {
+  if (!scene) return false;
+  if (game.user.isGM) {
+    await applyBoardChanges(scene, changes);
+    return true;
+  }
+
+  if (!game.users.activeGM) {
+    ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Board.NoGM"));
+    return false;
+  }
+  const requestId = foundry.utils.randomID();
+  const reply = new Promise(resolve => {
+    const timeout = setTimeout(() => {
+      pendingUpdates.delete(requestId);
+      resolve(false);
+    }, REPLY_TIMEOUT);
+    pendingUpdates.set(requestId, saved => {
+      clearTimeout(timeout);
+      resolve(saved);
+    });
+  });
+  game.socket.emit(SOCKET_NAME, { action: "updateScene", sceneId: scene.id, changes, userId: game.user.id, requestId });
+  const saved = await reply;
+  if (!saved) ui.notifications.warn(game.i18n.localize("INVESTIGATION_BOARD.Board.NotSaved"));
+  return saved;
+}
+
+// Ask the active GM to check the board against a deduction puzzle for this user.
+export function requestDeductionCheck(scene, deductionId) {
+  game.socket.emit(SOCKET_NAME, { action: "checkDeduction", sceneId: scene.id, deductionId, userId: game.user.id });
+}
+
+// The flags a player may write through the GM, each keyed by note id. Deduction puzzles and whole-board writes are GM only.
+const PLAYER_COLLECTIONS = ["notes", "connections", "revisions", "trash"];
+
+// Note fields only a GM may change: who can see the note.
+const GM_NOTE_FIELDS = ["visibility", "players"];
+
+/**
+ * Players may only add to the trash, and only the entries deleteNotes writes for the notes they delete.
+ * Taking notes out of the trash, or deleting them for good, is up to GMs.
+ */
+function isAllowedTrashEntry(scene, board, id, user) {
+  if (id.startsWith("-=") || !(`-=${id}` in (board.notes ?? {}))) return false;
+  const { time, ...entry } = board.trash[id];
+  const expected = getTrashEntry(scene, id, user.id);
+  return (typeof time === "number") && !!expected && foundry.utils.objectsEqual(entry, expected);
+}
+
+/**
+ * Check a player's board changes before the GM applies them. Only module flags may be written,
+ * only notes the player can edit may be changed or deleted, and only GMs may change who can see a note.
+ */
+function isAllowedPlayerUpdate(scene, changes, user) {
+  const prefix = `flags.${MODULE_ID}.`;
+  const notes = scene.flags[MODULE_ID]?.notes ?? {};
+  const board = foundry.utils.expandObject(changes).flags?.[MODULE_ID] ?? {};
+  const trashed = new Set();
+  for (const [key, value] of Object.entries(foundry.utils.flattenObject(changes))) {
+    if (!key.startsWith(prefix)) return false;
+    const [collection, entry, field] = key.slice(prefix.length).split(".");
+    if (!PLAYER_COLLECTIONS.includes(collection) || !entry) return false;
+    const note = notes[entry.replace(/^-=/, "")];
+    if (collection === "notes") {
+      if (note) {
+        if (!canEditNote(note, user) || GM_NOTE_FIELDS.includes(field)) return false;
+      } else if ((field === "players") || ((field === "visibility") && (value !== "public"))) {
+        // Notes created by players are public.
+        return false;
+      }
+    } else if ((collection === "revisions") && note && !canEditNote(note, user)) {
+      return false;
+    } else if ((collection === "trash") && !trashed.has(entry)) {
+      if (!isAllowedTrashEntry(scene, board, entry, user)) return false;
+      trashed.add(entry);
+    }
+  }
+  return true;
+}
+
+// Apply changes relayed by a user, if they may make them. Returns whether they were saved.
+async function applyRelayedUpdate(scene, changes, user) {
+  if (!user.isGM && !isAllowedPlayerUpdate(scene, changes, user)) {
+    console.warn(`Investigation Board: Refused board changes from ${user.name} that they may not make.`, changes);
+    return false;
+  }
+  // Make room in the trash for the notes a player deleted.
+  const trashed = Object.keys(foundry.utils.expandObject(changes).flags?.[MODULE_ID]?.trash ?? {});
+  const overflow = user.isGM ? {} : getTrashOverflowChanges(scene, trashed);
+  try {
+    await applyBoardChanges(scene, { ...changes, ...overflow });
+    return true;
+  } catch (err) {
+    console.error(`Investigation Board: Could not apply board changes from ${user.name}.`, err);
+    return false;
+  }
+}
+
+async function handleSocketMessage(message, senderId) {
+  // The GM's answer to changes this client relayed.
+  if (message.action === "updateSceneResult") {
+    if ((message.userId !== game.user.id) || !game.users.get(senderId)?.isGM) return;
+    pendingUpdates.get(message.requestId)?.(message.saved);
+    pendingUpdates.delete(message.requestId);
+    return;
+  }
+  if (!game.users.activeGM?.isSelf) return;
+
+  switch (message.action) {
+    case "updateScene": {
+      const scene = game.scenes.get(message.sceneId);
+      const user = game.users.get(senderId);
+      if (!user || (message.userId !== senderId)) return;
+      const saved = scene ? await applyRelayedUpdate(scene, message.changes, user) : false;
+      game.socket.emit(SOCKET_NAME, { action: "updateSceneResult", requestId: message.requestId, userId: senderId, saved });
+      break;
+    }
+    case "checkDeduction": {
+      const scene = game.scenes.get(message.sceneId);
+      const user = game.users.get(senderId);
+      if (!scene || !user || (message.userId !== senderId)) return;
+      await checkDeduction(scene, message.deductionId, user);
+      break;
+    }
+  }
+}
+
+Hooks.once("ready", () => {
+  game.socket.on(SOCKET_NAME, handleSocketMessage);
+});
@@ -0,0 +1,44 @@
+const ELLIPSIS = "…";
+
+function fits(text, style, area) {
+  const metrics = PIXI.TextMetrics.measureText(text, style);
+  return metrics.height <= area.height && metrics.maxLineWidth <= area.width;
+}
+
+/**
+ * Fit text into a box using the real PIXI text metrics.
+ * The font shrinks from the style's size down to minFontSize; if the text still does not fit,
+ * it is cut at the longest prefix that fits with an ellipsis.
+ * Returns { text, style, truncated } where style is a copy of the given style with the chosen font size.
+ */
+export function fitText(text, style, area, minFontSize) {
+  const fitted = style.clone();
+  fitted.wordWrap = true;
+  fitted.breakWords = true;
+  fitted.wordWrapWidth = area.width;
+
+  const maxFontSize = Math.max(Math.floor(style.fontSize), 1);
+  const minSize = Math.min(Math.max(Math.floor(minFontSize), 1), maxFontSize);
+
+  // Find the largest font size that fits.
+  let low = minSize;
+  let high = maxFontSize;
+  while (low < high) {
+    const size = Math.ceil((low + high) / 2);
+    fitted.fontSize = size;
+    if (fits(text, fitted, area)) low = size;
+    else high = size - 1;
+  }
+  fitted.fontSize = low;
+  if (fits(text, fitted, area)) return { text, style: fitted, truncated: false };
+
+  // Still too long at the minimum size: find the longest prefix that fits with an ellipsis.
+  let shortest = 0;
+  let longest = text.length;
+  while (shortest < longest) {
+    const length = Math.ceil((shortest + longest) / 2);
+    if (fits(text.slice(0, length).trimEnd() + ELLIPSIS, fitted, area)) shortest = length;
+    else longest = length - 1;
+  }
+  return { text: text.slice(0, shortest).trimEnd() + ELLIPSIS, style: fitted, truncated: true };
+}
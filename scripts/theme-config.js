@@ -0,0 +1,115 @@
+import { MODULE_ID } from "./constants.js";
+import { ListConfig } from "./list-config.js";
+import { NOTE_TYPES, getThemeChoices, loadWorldThemes } from "./themes.js";
+
+const BUILT_IN_THEMES = ["modern", "futuristic", "custom"];
+
+/**
+ * World settings menu for creating custom board themes.
+ * Each theme inherits its layout from another theme; backgrounds, font and text color can be set here,
+ * and anything else can be overridden with a JSON layout.
+ */
+export class ThemeConfig extends ListConfig {
+  constructor(...args) {
+    super(...args);
+    this.entries = Object.entries(game.settings.get(MODULE_ID, "customThemes") ?? {})
+      .map(([id, theme]) => this._toFormData(id, theme));
+  }
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: "investigation-board-themes",
+      classes: ["investigation-board-themes"],
+      template: "modules/investigation-board/templates/theme-config.html",
+      title: "INVESTIGATION_BOARD.Themes.Title",
+      width: 520,
+      listName: "themes",
+    });
+  }
+
+  getData(options) {
+    return {
+      themes: this.entries,
+      baseThemes: Object.fromEntries(Object.entries(getThemeChoices()).filter(([id]) => BUILT_IN_THEMES.includes(id))),
+      fonts: game.settings.settings.get(`${MODULE_ID}.font`).choices,
+      noteTypes: Object.fromEntries(NOTE_TYPES.map(type => [type, `INVESTIGATION_BOARD.NoteTypes.${type}`])),
+    };
+  }
+
+  _newEntry() {
+    return { id: "", label: game.i18n.localize("INVESTIGATION_BOARD.Themes.NewTheme"), extends: "modern", font: "", textColor: "#000000", backgrounds: {}, layout: "" };
+  }
+
+  _toFormData(id, theme) {
+    const notes = foundry.utils.deepClone(theme.notes ?? {});
+    const backgrounds = {};
+    for (const type of NOTE_TYPES) {
+      if (!notes[type]) continue;
+      backgrounds[type] = notes[type].background ?? "";
+      delete notes[type].background;
+      if (foundry.utils.isEmpty(notes[type])) delete notes[type];
+    }
+    return {
+      id,
+      label: theme.label ?? id,
+      extends: theme.extends ?? "modern",
+      font: theme.font ?? "",
+      textColor: theme.textColor ?? "#000000",
+      backgrounds,
+      layout: foundry.utils.isEmpty(notes) ? "" : JSON.stringify(notes, null, 2),
+    };
+  }
+
+  async _updateObject(event, formData) {
+    const data = foundry.utils.expandObject(formData);
+    const themes = {};
+    for (const entry of Object.values(data.themes ?? {})) {
+      let notes = {};
+      if (entry.layout?.trim()) {
+        try {
+          notes = JSON.parse(entry.layout);
+        } catch (err) {
+          ui.notifications.error(game.i18n.format("INVESTIGATION_BOARD.Themes.InvalidLayout", { theme: entry.label }));
+          throw err;
+        }
+      }
+      for (const [type, background] of Object.entries(entry.backgrounds ?? {})) {
+        if (background) foundry.utils.setProperty(notes, `${type}.background`, background);
+      }
+
+      let id = entry.id || entry.label.slugify({ strict: true }) || foundry.utils.randomID();
+      if (BUILT_IN_THEMES.includes(id) || id in themes) id = `${id}-${foundry.utils.randomID(4)}`;
+      themes[id] = {
+        label: entry.label,
+        extends: entry.extends || "modern",
+        font: entry.font || undefined,
+        textColor: entry.textColor || "#000000",
+        notes,
+      };
+    }
+    await game.settings.set(MODULE_ID, "customThemes", themes);
+  }
+}
+
+// The Custom Themes menu and the world setting it edits.
+export function registerThemeSettings() {
+  game.settings.registerMenu(MODULE_ID, "themeConfig", {
+    name: "INVESTIGATION_BOARD.Settings.ThemeConfig.Name",
+    label: "INVESTIGATION_BOARD.Settings.ThemeConfig.Label",
+    hint: "INVESTIGATION_BOARD.Settings.ThemeConfig.Hint",
+    icon: "fas fa-palette",
+    type: ThemeConfig,
+    restricted: true,
+  });
+
+  game.settings.register(MODULE_ID, "customThemes", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => {
+      loadWorldThemes();
+      canvas.investigationBoard?.refreshNotes();
+    },
+  });
+}
@@ -0,0 +1,189 @@
+import { MODULE_ID } from "./constants.js";
+
+const ASSET_PATH = "modules/investigation-board/assets";
+const PIN_SIZE = 40;
+
+export const NOTE_TYPES = ["sticky", "photo", "index"];
+
+/*
+ * A theme describes how each note type is drawn. Layouts are given in pixels of a reference card
+ * (the `width` and `height` of the note type) and scaled to the note width set in the module settings.
+ *
+ * {
+ *   label: "Modern",         // shown in the Board Theme setting, may be a language key
+ *   extends: "modern",       // optional, inherit anything not declared from another theme
+ *   font: "Rock Salt",       // optional, defaults to the world Font setting
+ *   textColor: "#000000",
+ *   notes: {
+ *     photo: {
+ *       width: 225, height: 290,
+ *       background: "path/to/frame.webp",
+ *       photo: { x, y, width, height },                 // photo notes only
+ *       text: { x, y, width, height, align, valign },
+ *       identityName: { x, y, width, height, align },   // optional extra name field
+ *       pin: { x, y }                                   // where the pin and strings sit
+ *     }
+ *   }
+ * }
+ */
+const themes = new Map();
+
+const MODERN_THEME = {
+  label: "INVESTIGATION_BOARD.Themes.BuiltIn.modern",
+  textColor: "#000000",
+  notes: {
+    sticky: {
+      width: 200,
+      height: 200,
+      background: `${ASSET_PATH}/note_white.webp`,
+      text: { x: 8, y: 20, width: 184, height: 160, align: "center", valign: "middle" },
+      pin: { x: 100, y: 23 },
+    },
+    photo: {
+      width: 225,
+      height: 290,
+      background: `${ASSET_PATH}/photoFrame.webp`,
+      photo: { x: 15, y: 44, width: 195, height: 202 },
+      text: { x: 8, y: 250, width: 209, height: 30, align: "center", valign: "middle" },
+      pin: { x: 112.5, y: 23 },
+    },
+    index: {
+      width: 600,
+      height: 400,
+      background: `${ASSET_PATH}/note_index.webp`,
+      text: { x: 8, y: 40, width: 584, height: 320, align: "center", valign: "middle" },
+      pin: { x: 300, y: 23 },
+    },
+  },
+};
+
+// Photo notes become landscape ID cards; sticky notes and index cards keep the modern look.
+const FUTURISTIC_THEME = {
+  label: "INVESTIGATION_BOARD.Themes.BuiltIn.futuristic",
+  extends: "modern",
+  notes: {
+    photo: {
+      width: 225,
+      height: 140,
+      background: `${ASSET_PATH}/futuristic_photoFrame.webp`,
+      photo: { x: 10, y: 10, width: 90, height: 120 },
+      identityName: { x: 110, y: 10, width: 105, height: 28, align: "left", valign: "top" },
+      text: { x: 110, y: 40, width: 105, height: 90, align: "left", valign: "top" },
+      pin: { x: 112.5, y: 23 },
+    },
+  },
+};
+
+const CUSTOM_THEME = {
+  label: "INVESTIGATION_BOARD.Themes.BuiltIn.custom",
+  extends: "modern",
+  notes: {
+    photo: { background: `${ASSET_PATH}/custom_photoFrame.webp` },
+  },
+};
+
+/**
+ * Add a theme to the registry, replacing any theme with the same id.
+ */
+export function registerTheme(id, theme) {
+  themes.set(id, { ...foundry.utils.deepClone(theme), id });
+  activeTheme = null;
+}
+
+export function unregisterTheme(id) {
+  themes.delete(id);
+  activeTheme = null;
+}
+
+export function getThemeChoices() {
+  return Object.fromEntries([...themes.values()].map(t => [t.id, t.label || t.id]));
+}
+
+/**
+ * Get a theme with everything it inherits merged in.
+ */
+export function resolveTheme(id, seen = new Set()) {
+  const theme = themes.get(id);
+  if (!theme) return id === "modern" ? null : resolveTheme("modern", seen);
+  if (!theme.extends || seen.has(id)) return foundry.utils.deepClone(theme);
+  seen.add(id);
+  const base = resolveTheme(theme.extends, seen) ?? {};
+  return foundry.utils.mergeObject(base, theme, { inplace: false });
+}
+
+// Every note asks for the active theme when it is drawn, so it is only resolved again when it changes.
+let activeTheme = null;
+
+export function getActiveTheme() {
+  const id = game.settings.get(MODULE_ID, "boardMode");
+  if (activeTheme?.id !== id) activeTheme = { id, theme: resolveTheme(id) };
+  return activeTheme.theme;
+}
+
+function scaleRect(rect, scale) {
+  if (!rect) return null;
+  return {
+    ...rect,
+    x: rect.x * scale,
+    y: rect.y * scale,
+    width: rect.width * scale,
+    height: rect.height * scale,
+  };
+}
+
+/**
+ * Resolve the layout of a note type in the active theme, scaled to the configured note width.
+ * A note can be drawn larger or smaller with its own size factor, and with its own font.
+ * All values of the returned layout are in canvas pixels.
+ */
+export function getNoteLayout(noteType, theme = getActiveTheme(), { size = 1, font } = {}) {
+  const definition = theme.notes[noteType] ?? theme.notes.sticky;
+  const width = (game.settings.get(MODULE_ID, `${noteType}NoteWidth`) || definition.width) * (size || 1);
+  const scale = width / definition.width;
+  return {
+    width,
+    height: Math.round(definition.height * scale),
+    scale,
+    background: definition.background,
+    photo: scaleRect(definition.photo, scale),
+    text: scaleRect(definition.text, scale),
+    identityName: scaleRect(definition.identityName, scale),
+    pin: { x: definition.pin.x * scale, y: definition.pin.y * scale, size: PIN_SIZE },
+    font: font || theme.font || game.settings.get(MODULE_ID, "font"),
+    textColor: theme.textColor || "#000000",
+  };
+}
+
+// Whether photo notes in the active theme have a separate identity name field.
+export function hasIdentityName() {
+  return !!getActiveTheme().notes.photo?.identityName;
+}
+
+/**
+ * Load the themes defined in the world settings, replacing those loaded before.
+ */
+export function loadWorldThemes() {
+  for (const theme of themes.values()) {
+    if (theme.world) unregisterTheme(theme.id);
+  }
+  const worldThemes = game.settings.get(MODULE_ID, "customThemes") ?? {};
+  for (const [id, theme] of Object.entries(worldThemes)) {
+    registerTheme(id, { ...theme, world: true });
+  }
+  updateThemeChoices();
+}
+
+// The Board Theme setting lists whatever is registered, so refresh its choices.
+function updateThemeChoices() {
+  const setting = game.settings.settings.get(`${MODULE_ID}.boardMode`);
+  if (setting) setting.choices = getThemeChoices();
+}
+
+registerTheme("modern", MODERN_THEME);
+registerTheme("futuristic", FUTURISTIC_THEME);
+registerTheme("custom", CUSTOM_THEME);
+
+Hooks.once("setup", () => {
+  Hooks.callAll("investigationBoard.registerThemes", { registerTheme, unregisterTheme });
+  loadWorldThemes();
+});
@@ -0,0 +1,164 @@
+/*
+ * Timeline mode lays the notes on the scene out along a horizontal time axis, by their in-game `date`.
+ * Dates are stored as "YYYY-MM-DDTHH:MM" and handled as UTC, so they read the same for every user.
+ * The layout only moves the notes on screen; their stored positions are kept for when the timeline is closed.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const TICK_STEPS = [MINUTE, 5 * MINUTE, 15 * MINUTE, HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR, DAY, 7 * DAY, 30 * DAY, 365 * DAY];
+const MAX_TICKS = 10;
+const GAP = 20;
+const DATE_PATTERN = /^(-?\d{1,6})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?$/;
+
+/**
+ * Read a note date into a time in milliseconds, or null if the note has no valid date.
+ */
+export function parseNoteDate(date) {
+  const match = DATE_PATTERN.exec(date ?? "");
+  if (!match) return null;
+  const [, year, month, day, hours = 0, minutes = 0] = match.map(Number);
+  const time = new Date(0);
+  time.setUTCFullYear(year, month - 1, day);
+  time.setUTCHours(hours, minutes, 0, 0);
+  return time.getTime();
+}
+
+export function formatNoteDate(time) {
+  const date = new Date(time);
+  const pad = n => String(n).padStart(2, "0");
+  return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}T${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+}
+
+function formatTick(time, step) {
+  const [day, clock] = formatNoteDate(time).split("T");
+  return step >= DAY ? day : `${day} ${clock}`;
+}
+
+/**
+ * Work out where every note goes on the timeline within a rectangle of the scene.
+ * Dated notes are stacked in rows above the axis so that none overlap; undated notes are parked below it.
+ */
+export function computeTimeline(notes, rect) {
+  const dated = [];
+  const undated = [];
+  for (const note of notes) {
+    const time = parseNoteDate(note.data.date);
+    if (time === null) undated.push(note);
+    else dated.push({ note, time });
+  }
+  dated.sort((a, b) => a.time - b.time);
+
+  const widest = Math.max(0, ...notes.map(n => n.noteWidth));
+  const axis = {
+    x1: rect.x + widest / 2 + GAP,
+    x2: rect.x + rect.width - widest / 2 - GAP,
+    y: rect.y + rect.height * 0.55,
+  };
+
+  // Pad the time range a little, so the first and last notes do not sit on the ends of the axis.
+  let start = dated[0]?.time ?? null;
+  let end = dated.at(-1)?.time ?? null;
+  if (start !== null) {
+    if (end - start < HOUR) {
+      start -= HOUR / 2;
+      end += HOUR / 2;
+    }
+    const padding = (end - start) * 0.05;
+    start -= padding;
+    end += padding;
+  }
+  const scale = start === null ? 0 : (axis.x2 - axis.x1) / (end - start);
+  const toX = time => axis.x1 + (time - start) * scale;
+
+  // Fill rows above the axis from the bottom up, each note in the first row it fits into.
+  const positions = new Map();
+  const rows = [];
+  const markers = [];
+  for (const { note, time } of dated) {
+    const center = toX(time);
+    const left = center - note.noteWidth / 2;
+    let row = rows.find(r => r.right + GAP <= left);
+    if (!row) {
+      row = { right: -Infinity, height: 0, notes: [] };
+      rows.push(row);
+    }
+    row.right = left + note.noteWidth;
+    row.height = Math.max(row.height, note.noteHeight);
+    row.notes.push({ note, left, center });
+  }
+  let bottom = axis.y - GAP * 2;
+  for (const row of rows) {
+    for (const { note, left, center } of row.notes) {
+      const y = bottom - note.noteHeight;
+      positions.set(note.id, { x: left, y });
+      markers.push({ x: center, top: bottom });
+    }
+    bottom -= row.height + GAP;
+  }
+
+  // Park undated notes in a grid below the axis.
+  const parking = { x: rect.x + GAP, y: axis.y + GAP * 5, width: rect.width - GAP * 2 };
+  let x = parking.x;
+  let y = parking.y;
+  let rowHeight = 0;
+  for (const note of undated) {
+    if ((x > parking.x) && (x + note.noteWidth > parking.x + parking.width)) {
+      x = parking.x;
+      y += rowHeight + GAP;
+      rowHeight = 0;
+    }
+    positions.set(note.id, { x, y });
+    x += note.noteWidth + GAP;
+    rowHeight = Math.max(rowHeight, note.noteHeight);
+  }
+
+  const ticks = [];
+  if (start !== null) {
+    const step = TICK_STEPS.find(s => (end - start) / s <= MAX_TICKS) ?? TICK_STEPS.at(-1);
+    for (let time = Math.ceil(start / step) * step; time <= end; time += step) {
+      ticks.push({ x: toX(time), label: formatTick(time, step) });
+    }
+  }
+
+  return {
+    axis,
+    parking,
+    positions,
+    markers,
+    ticks,
+    hasDates: start !== null,
+    // The date at a point on the axis, to the minute.
+    toDate: px => formatNoteDate(Math.round((start + (px - axis.x1) / scale) / MINUTE) * MINUTE),
+  };
+}
+
+/**
+ * Draw the axis, its ticks and the parking area label into a container.
+ */
+export function drawTimeline(container, timeline) {
+  for (const child of container.removeChildren()) child.destroy();
+  const { axis, parking, markers, ticks } = timeline;
+  const labelStyle = { fontFamily: "Signika", fontSize: 20, fill: "#ffffff", stroke: "#000000", strokeThickness: 4 };
+
+  const lines = container.addChild(new PIXI.Graphics());
+  lines.lineStyle(4, 0xffffff, 0.9).moveTo(axis.x1, axis.y).lineTo(axis.x2, axis.y);
+  for (const tick of ticks) {
+    lines.lineStyle(3, 0xffffff, 0.9).moveTo(tick.x, axis.y - 10).lineTo(tick.x, axis.y + 10);
+    const label = container.addChild(new PIXI.Text(tick.label, labelStyle));
+    label.anchor.set(0.5, 0);
+    label.position.set(tick.x, axis.y + 14);
+  }
+
+  // Tie each dated note to its point in time.
+  for (const marker of markers) {
+    lines.lineStyle(1, 0xffffff, 0.5).moveTo(marker.x, marker.top).lineTo(marker.x, axis.y);
+    lines.lineStyle(0).beginFill(0xffd54f, 1).drawCircle(marker.x, axis.y, 6).endFill();
+  }
+
+  const text = game.i18n.localize(timeline.hasDates ? "INVESTIGATION_BOARD.Timeline.Undated" : "INVESTIGATION_BOARD.Timeline.UndatedHint");
+  const parkingLabel = container.addChild(new PIXI.Text(text, labelStyle));
+  parkingLabel.position.set(parking.x, parking.y - 32);
+  lines.lineStyle(2, 0xffffff, 0.4).moveTo(parking.x, parking.y - 6).lineTo(parking.x + parking.width, parking.y - 6);
+}
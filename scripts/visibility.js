@@ -0,0 +1,49 @@
+import { MODULE_ID } from "./constants.js";
+import { CONTENT_FIELDS } from "./hidden-notes.js";
+
+/*
+ * Who can see a note:
+ *   public   - everyone
+ *   gm       - only GMs
+ *   players  - GMs and the users listed in the note's `players`
+ *   facedown - everyone, but players only see the card back until a GM reveals it
+ */
+export const VISIBILITY_MODES = {
+  public: "INVESTIGATION_BOARD.Visibility.public",
+  gm: "INVESTIGATION_BOARD.Visibility.gm",
+  players: "INVESTIGATION_BOARD.Visibility.players",
+  facedown: "INVESTIGATION_BOARD.Visibility.facedown",
+};
+
+export function canViewNote(data, user = game.user) {
+  if (user.isGM) return true;
+  switch (data.visibility) {
+    case "gm": return false;
+    case "players": return (data.players ?? []).includes(user.id);
+    default: return true;
+  }
+}
+
+// Players cannot edit or move notes the GM is keeping secret.
+export function canEditNote(data, user = game.user) {
+  if (user.isGM) return true;
+  return canViewNote(data, user) && data.visibility !== "facedown";
+}
+
+export function isFaceDown(data, user = game.user) {
+  return data.visibility === "facedown" && !user.isGM;
+}
+
+// A note as a user may know it: null if it is hidden from them, and without what it says while it lies face down.
+export function getVisibleNote(data, user = game.user) {
+  if (!canViewNote(data, user)) return null;
+  if (!isFaceDown(data, user)) return data;
+  const note = { ...data };
+  for (const field of CONTENT_FIELDS) delete note[field];
+  return note;
+}
+
+// Visibility given to notes a GM creates, so a board can be staged before the session.
+export function getDefaultVisibility() {
+  return game.user.isGM ? game.settings.get(MODULE_ID, "defaultVisibility") : "public";
+}